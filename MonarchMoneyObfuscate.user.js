@@ -1,23 +1,36 @@
 // ==UserScript==
 // @name         Monarch Money - Obfuscate Balances
 // @namespace    https://tampermonkey.net/
-// @version      1.3.1
+// @version      1.4.0
 // @description  Obfuscate dollar amounts on Monarch Money Dashboard/Accounts/Transactions/Goals/Plan/Investments with performant observers
 // @match        https://app.monarch.com/*
 // @downloadURL  https://github.com/mattebad/MonarchMoneyObfuscationTweak/raw/refs/heads/main/MonarchMoneyObfuscate.user.js
 // @updateURL    https://github.com/mattebad/MonarchMoneyObfuscationTweak/raw/refs/heads/main/MonarchMoneyObfuscate.user.js
 // @icon         https://www.google.com/s2/favicons?sz=64&domain=monarchmoney.com
-// @grant        none
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_addValueChangeListener
+// @grant        unsafeWindow
+// @run-at       document-start
 // ==/UserScript==
 
 (function(){
     'use strict';
     const MTM_TEST_MODE = !!window.__MTM_OBF_TEST__;
 
-    // Minimal helpers (localStorage-backed)
-    function setCookie(cName, cValue) { localStorage.setItem(cName,cValue); }
+    // With GM_* grants the script runs sandboxed: fetch, XMLHttpRequest, history and the CSV download path are
+    // patched on the page's own window (unsafeWindow) so Monarch's code goes through them.
+    const MTM_PAGE = (typeof unsafeWindow !== 'undefined' && unsafeWindow) || window;
+    // Pref storage: Tampermonkey's GM_getValue/GM_setValue when granted (survives clearing site data and follows
+    // its cloud sync), localStorage otherwise (other managers, Playwright's addInitScript, tests).
+    const MTM_GM_STORAGE = typeof GM_getValue === 'function' && typeof GM_setValue === 'function';
+    // Minimal helpers (GM storage or localStorage)
+    function setCookie(cName, cValue) {
+        if(MTM_GM_STORAGE) GM_setValue(cName, String(cValue));
+        else localStorage.setItem(cName,cValue);
+    }
     function getCookie(cname,isNum) {
-        let value = localStorage.getItem(cname);
+        let value = MTM_GM_STORAGE ? GM_getValue(cname, null) : localStorage.getItem(cname);
         if(value !== null) return value;
         if(isNum == true) {return 0;} else {return '';}
     }
@@ -26,20 +39,247 @@
         if(spin == null) {spin = 1;}
         if(OldValue > spin) { setCookie(inCookie,0); } else {setCookie(inCookie,OldValue); }
     }
+    // One-time move of the localStorage prefs into GM storage. A value already in GM storage (e.g. synced from
+    // another browser) wins over the local copy.
+    (function MTM_migrateStorage(){
+        if(!MTM_GM_STORAGE || GM_getValue('MTM_OBF_STORAGE', '') === 'gm') return;
+        ['MT_HideSensitiveInfo', 'MTM_OBF_CONFIG'].forEach(function(key){
+            try {
+                var value = localStorage.getItem(key);
+                if(value !== null && GM_getValue(key, null) === null) GM_setValue(key, value);
+                localStorage.removeItem(key);
+            } catch(e) { void e; }
+        });
+        GM_setValue('MTM_OBF_STORAGE', 'gm');
+    })();
 
-    // Debug (opt-in): set localStorage MTM_OBF_DEBUG=1 to enable console.debug + counters.
-    function MTM_isDebugEnabled(){ try { return getCookie('MTM_OBF_DEBUG', true) == 1; } catch(e) { void e; return false; } }
+    // Debug (opt-in, settings panel or pref 'debug'): console.debug + counters.
+    function MTM_isDebugEnabled(){ try { return MTM_getPref('debug') == 1; } catch(e) { void e; return false; } }
     function MTM_dbg(){
         if(!MTM_isDebugEnabled()) return;
         try { console.debug.apply(console, ['[MTM Obfuscate]'].concat([].slice.call(arguments))); } catch(e) { void e; }
     }
+    // Pref validators: every stored value is a string; '' means "unset" where a pref allows it.
+    function MTM_isNumberOrUnset(v){ return v === '' || /^\d+(?:\.\d+)?$/.test(v); }
+    function MTM_isLocaleOrUnset(v){
+        if(v === '') return true;
+        try { return Intl.NumberFormat.supportedLocalesOf([v]).length > 0; } catch(e) { void e; return false; }
+    }
+    const MTM_BOOL = ['0', '1'];
+    // Hotkeys are written like 'Alt+Shift+H' or 'Ctrl+F9': any of Ctrl, Alt, Shift, Meta and one key.
+    const MTM_HOTKEY_MODS = ['ctrl', 'alt', 'shift', 'meta'];
+    const MTM_HOTKEY_NAMED = /^(?:f(?:[1-9]|1\d|2[0-4])|escape|space|enter|tab|backspace|delete|insert|home|end|pageup|pagedown|arrow(?:up|down|left|right)|pause)$/;
+    function MTM_parseHotkey(v){
+        var parts = String(v || '').split('+').map(function(part){ return part.trim().toLowerCase(); });
+        var key = parts.pop();
+        if(!key || (key.length > 1 && !MTM_HOTKEY_NAMED.test(key))) return null;
+        var out = { ctrl: false, alt: false, shift: false, meta: false, key: key };
+        for (var i=0; i<parts.length; i++){
+            var mod = parts[i] === 'control' ? 'ctrl' : (parts[i] === 'cmd' ? 'meta' : parts[i]);
+            if(MTM_HOTKEY_MODS.indexOf(mod) === -1 || out[mod]) return null;
+            out[mod] = true;
+        }
+        return out;
+    }
+    function MTM_isHotkeyOrUnset(v){ return v === '' || !!MTM_parseHotkey(v); }
+    // Masking preferences (schema of the settings object): default, allowed `values` or a `valid` check, and the
+    // pre-settings-object localStorage `key` migrated by MTM_loadConfig. The on/off pref stays MT_HideSensitiveInfo.
+    const MTM_PREFS = {
+        maskStyle: { key: 'MTM_OBF_MASK_STYLE', def: 'fixed', values: ['fixed', 'length', 'glyph', 'placeholder', 'blur', 'demo', 'scale'] },
+        maskPlaceholder: { key: 'MTM_OBF_MASK_PLACEHOLDER', def: '[hidden]', valid: function(v){ return v.length > 0 && v.length <= 40; } },
+        scaleFactor: { key: 'MTM_OBF_SCALE_FACTOR', def: '', valid: MTM_isNumberOrUnset },
+        precision: { key: 'MTM_OBF_PRECISION', def: 'exact', values: ['exact', 'hundreds', 'thousands', 'magnitude'] },
+        maskPercent: { key: 'MTM_OBF_MASK_PERCENT', def: '0', values: MTM_BOOL },
+        // Amount thresholds: only mask values whose absolute value is >= the limit. The income (positive)
+        // and expense (negative/parenthesized) limits override the shared one when set.
+        threshold: { key: 'MTM_OBF_THRESHOLD', def: '', valid: MTM_isNumberOrUnset },
+        thresholdIncome: { key: 'MTM_OBF_THRESHOLD_INCOME', def: '', valid: MTM_isNumberOrUnset },
+        thresholdExpense: { key: 'MTM_OBF_THRESHOLD_EXPENSE', def: '', valid: MTM_isNumberOrUnset },
+        locale: { key: 'MTM_OBF_LOCALE', def: '', valid: MTM_isLocaleOrUnset },
+        // Opt-in: rewrite amount columns of CSV downloads (e.g. /transactions "Download CSV") while masking is ON.
+        csvDownload: { key: 'MTM_OBF_CSV', def: '0', values: MTM_BOOL },
+        // Masking engine: 'dom' wraps rendered text, 'graphql' rewrites API responses, 'both' runs the two together.
+        engine: { key: 'MTM_OBF_ENGINE', def: 'dom', values: ['dom', 'graphql', 'both'] },
+        // DOM engine renderer: 'wrap' replaces amounts with wrapper spans; 'highlight' paints over them with the
+        // CSS Custom Highlight API and never touches React's text nodes (falls back to 'wrap' when unsupported).
+        renderer: { key: 'MTM_OBF_RENDERER', def: 'wrap', values: ['wrap', 'highlight'] },
+        // How a masked amount is revealed: on hover, on click (click again to hide), or never.
+        reveal: { key: null, def: 'hover', values: ['hover', 'click', 'off'] },
+        // Keyboard shortcuts ('' turns one off): flip masking, and panic (masking ON at once, reveals cancelled).
+        // Off until set: common chords such as Alt+Shift switch the input language on Windows.
+        hotkeyToggle: { key: null, def: '', valid: MTM_isHotkeyOrUnset },
+        hotkeyPanic: { key: null, def: '', valid: MTM_isHotkeyOrUnset },
+        debug: { key: 'MTM_OBF_DEBUG', def: '0', values: MTM_BOOL }
+        // Per-surface ('surface.<name>') and per-route ('route.<name>') prefs are added from MTM_OBF_CFG below.
+    };
+    function MTM_isValidPref(name, value){
+        if(!Object.prototype.hasOwnProperty.call(MTM_PREFS, name) || typeof value !== 'string') return false;
+        var p = MTM_PREFS[name];
+        return p.values ? p.values.indexOf(value) !== -1 : (!p.valid || p.valid(value));
+    }
+    // Stored and imported values may be JSON numbers or booleans; prefs themselves are strings.
+    function MTM_coercePref(v){ return (typeof v === 'number' || typeof v === 'boolean') ? String(Number(v)) : v; }
+    function MTM_isPlainObject(v){ return !!v && typeof v === 'object' && !Array.isArray(v); }
+    // Extra amount host selectors (config 'extraSelectors') must parse as CSS.
+    function MTM_isValidSelector(sel){
+        if(typeof sel !== 'string' || !sel.trim()) return false;
+        try { document.createDocumentFragment().querySelector(sel); return true; } catch(e) { void e; return false; }
+    }
+    function MTM_isValidProfileName(name){ return typeof name === 'string' && name.length > 0 && name.length <= 40 && name.trim() === name; }
+    // All settings live in one versioned object under MTM_CONFIG_KEY:
+    //   { version, <pref name>: value, extraSelectors: [css, ...], profiles: { <name>: { <pref name>: value } } }
+    const MTM_CONFIG_KEY = 'MTM_OBF_CONFIG';
+    const MTM_CONFIG_VERSION = 1;
+    var MTM_CONFIG = null;
+    // Validates a stored object against MTM_PREFS: unknown keys are dropped, invalid or missing values fall back
+    // to defaults.
+    function MTM_normalizeConfig(raw){
+        var out = { version: MTM_CONFIG_VERSION };
+        Object.keys(MTM_PREFS).forEach(function(name){
+            var v = MTM_coercePref(raw && raw[name]);
+            if(v !== undefined && !MTM_isValidPref(name, v)) MTM_dbg('ignoring invalid setting', name, v);
+            out[name] = MTM_isValidPref(name, v) ? v : MTM_PREFS[name].def;
+        });
+        out.extraSelectors = (raw && Array.isArray(raw.extraSelectors) ? raw.extraSelectors : []).filter(MTM_isValidSelector);
+        out.profiles = {};
+        if(raw && MTM_isPlainObject(raw.profiles)){
+            Object.keys(raw.profiles).forEach(function(name){
+                var profile = raw.profiles[name];
+                if(!MTM_isValidProfileName(name) || !MTM_isPlainObject(profile)) return;
+                out.profiles[name] = {};
+                Object.keys(profile).forEach(function(pref){
+                    var v = MTM_coercePref(profile[pref]);
+                    if(MTM_isValidPref(pref, v)) out.profiles[name][pref] = v;
+                });
+            });
+        }
+        return out;
+    }
+    // Schema check for imported settings. Unlike MTM_normalizeConfig it lists every problem (unknown keys,
+    // invalid values, selectors that do not parse) so an import is either taken whole or rejected.
+    function MTM_configErrors(raw){
+        if(!MTM_isPlainObject(raw)) return ['expected a JSON object'];
+        var errors = [];
+        function checkPref(name, value, where){
+            if(!Object.prototype.hasOwnProperty.call(MTM_PREFS, name)) { errors.push(where + 'unknown key "' + name + '"'); return; }
+            if(MTM_isValidPref(name, MTM_coercePref(value))) return;
+            var values = MTM_PREFS[name].values;
+            errors.push(where + 'invalid value for "' + name + '": ' + JSON.stringify(value) + (values ? ' (expected one of ' + values.join(', ') + ')' : ''));
+        }
+        Object.keys(raw).forEach(function(key){
+            var value = raw[key];
+            if(key === 'version'){
+                if(value !== MTM_CONFIG_VERSION) errors.push('unsupported version ' + JSON.stringify(value) + ' (expected ' + MTM_CONFIG_VERSION + ')');
+            } else if(key === 'extraSelectors'){
+                if(!Array.isArray(value)) { errors.push('extraSelectors: expected a list of CSS selectors'); return; }
+                value.forEach(function(sel, i){
+                    if(!MTM_isValidSelector(sel)) errors.push('extraSelectors[' + i + ']: invalid selector ' + JSON.stringify(sel));
+                });
+            } else if(key === 'profiles'){
+                if(!MTM_isPlainObject(value)) { errors.push('profiles: expected an object of named profiles'); return; }
+                Object.keys(value).forEach(function(name){
+                    var where = 'profiles["' + name + '"]: ';
+                    if(!MTM_isValidProfileName(name)) errors.push(where + 'names must be 1-40 characters without surrounding spaces');
+                    else if(!MTM_isPlainObject(value[name])) errors.push(where + 'expected an object of settings');
+                    else Object.keys(value[name]).forEach(function(pref){ checkPref(pref, value[name][pref], where); });
+                });
+            } else {
+                checkPref(key, value, '');
+            }
+        });
+        return errors;
+    }
+    // Reads the settings object, migrating older shapes: before version 1 every pref had its own localStorage key
+    // (MTM_PREFS[name].key); those are folded in once and removed.
+    function MTM_loadConfig(){
+        var raw = null;
+        try { raw = JSON.parse(getCookie(MTM_CONFIG_KEY) || 'null'); } catch(e) { void e; }
+        if(!MTM_isPlainObject(raw)) raw = { version: 0 };
+        if(!(raw.version >= 1)){
+            Object.keys(MTM_PREFS).forEach(function(name){
+                var key = MTM_PREFS[name].key;
+                var legacy = key ? localStorage.getItem(key) : null;
+                if(legacy !== null && raw[name] === undefined) raw[name] = legacy;
+            });
+        }
+        var config = MTM_normalizeConfig(raw);
+        if(raw.version !== MTM_CONFIG_VERSION || JSON.stringify(raw) !== JSON.stringify(config)) MTM_saveConfig(config);
+        if(!(raw.version >= 1)){
+            Object.keys(MTM_PREFS).forEach(function(name){
+                if(MTM_PREFS[name].key) localStorage.removeItem(MTM_PREFS[name].key);
+            });
+        }
+        return config;
+    }
+    function MTM_saveConfig(config){ setCookie(MTM_CONFIG_KEY, JSON.stringify(config)); }
+    function MTM_getPref(name){ return MTM_CONFIG ? MTM_CONFIG[name] : MTM_PREFS[name].def; }
+    // Stores a validated pref; returns false (and changes nothing) for unknown names or invalid values.
+    function MTM_setPref(name, value){
+        value = String(value);
+        if(!MTM_isValidPref(name, value)) return false;
+        if(!MTM_CONFIG) MTM_CONFIG = MTM_loadConfig();
+        MTM_CONFIG[name] = value;
+        MTM_saveConfig(MTM_CONFIG);
+        return true;
+    }
+    // Puts every pref back to its default in a single write (one cross-tab change); extra selectors and profiles stay.
+    function MTM_resetPrefs(){
+        if(!MTM_CONFIG) MTM_CONFIG = MTM_loadConfig();
+        Object.keys(MTM_PREFS).forEach(function(name){ MTM_CONFIG[name] = String(MTM_PREFS[name].def); });
+        MTM_saveConfig(MTM_CONFIG);
+    }
+    function MTM_exportConfig(){ return JSON.stringify(MTM_CONFIG || MTM_loadConfig(), null, 2); }
+    // Replaces the whole settings object with exported JSON; prefs it leaves out fall back to their defaults.
+    // Returns { ok, errors } and changes nothing unless the JSON passes MTM_configErrors.
+    function MTM_importConfig(text){
+        var raw;
+        try { raw = JSON.parse(text); } catch(e) { return { ok: false, errors: ['not valid JSON: ' + e.message] }; }
+        var errors = MTM_configErrors(raw);
+        if(errors.length) return { ok: false, errors: errors };
+        MTM_CONFIG = MTM_normalizeConfig(raw);
+        MTM_saveConfig(MTM_CONFIG);
+        MTM_syncExtraRule();
+        return { ok: true, errors: [] };
+    }
+    // Stores the extra host selectors; returns false (and changes nothing) if any of them does not parse.
+    function MTM_setExtraSelectors(list){
+        if(!Array.isArray(list) || !list.every(MTM_isValidSelector)) return false;
+        if(!MTM_CONFIG) MTM_CONFIG = MTM_loadConfig();
+        MTM_CONFIG.extraSelectors = list.slice();
+        MTM_saveConfig(MTM_CONFIG);
+        MTM_syncExtraRule();
+        return true;
+    }
+    // Profiles are named snapshots of every pref, e.g. "screen share" vs "at home", applied as a whole.
+    function MTM_saveProfile(name){
+        if(!MTM_isValidProfileName(name)) return false;
+        if(!MTM_CONFIG) MTM_CONFIG = MTM_loadConfig();
+        var profile = {};
+        Object.keys(MTM_PREFS).forEach(function(pref){ profile[pref] = MTM_getPref(pref); });
+        MTM_CONFIG.profiles[name] = profile;
+        MTM_saveConfig(MTM_CONFIG);
+        return true;
+    }
+    function MTM_applyProfile(name){
+        var profiles = MTM_CONFIG ? MTM_CONFIG.profiles : {};
+        if(!Object.prototype.hasOwnProperty.call(profiles, name)) return false;
+        Object.keys(profiles[name]).forEach(function(pref){ MTM_CONFIG[pref] = profiles[name][pref]; });
+        MTM_saveConfig(MTM_CONFIG);
+        return true;
+    }
+    function MTM_deleteProfile(name){
+        if(!MTM_CONFIG || !Object.prototype.hasOwnProperty.call(MTM_CONFIG.profiles, name)) return false;
+        delete MTM_CONFIG.profiles[name];
+        MTM_saveConfig(MTM_CONFIG);
+        return true;
+    }
     window.MTM_OBF_STATS = window.MTM_OBF_STATS || { scanRuns:0, candidatesSeen:0, watched:0, enqueued:0, queueRuns:0, wrapAttempts:0, wrapSuccess:0, observerStarts:0, observerStops:0 };
 
     // [ MT: Obfuscate Dollar Amounts — scoped to /dashboard, /accounts, /transactions, /objectives|/goals, /plan, /investments ]
     // Injects minimal CSS used by the masking spans and the sidebar toggle; idempotent.
     (function MTM_Obfuscation_InitCSS(){
         if (document.getElementById('mtm-obf-css')) return;
-        const css = '\n.mtm-amount-wrap{position:relative;display:inline-block;margin-right:.25em}\nbody.mt-obfuscate-on .fs-mask .recharts-yAxis .recharts-text tspan{opacity:0}\nbody.mt-obfuscate-on .recharts-yAxis .recharts-cartesian-axis-tick-value,\nbody.mt-obfuscate-on .recharts-yAxis .recharts-text,\nbody.mt-obfuscate-on .recharts-yAxis tspan{opacity:0!important}\nbody.mt-obfuscate-on input.fs-exclude,\nbody.mt-obfuscate-on input[class*="CurrencyInput__Input-"]{-webkit-text-security:disc;text-security:disc}\n.mtm-nav-eye-btn{display:flex;align-items:center;gap:12px;cursor:pointer;color:inherit;background:transparent;border:0;width:100%;padding:8px 10px;border-radius:8px;text-align:left}\n.mtm-nav-eye-btn:hover{background:rgba(255,255,255,.06)}\n.mtm-nav-eye-btn .mtm-iconwrap{display:flex;align-items:center;justify-content:center;width:40px;height:40px}\n.mtm-nav-eye-btn .mtm-icon{display:inline-flex;align-items:center;justify-content:center;width:20px;height:20px}\n.mtm-nav-eye-btn .mtm-icon svg{width:20px;height:20px;display:block}\n.mtm-nav-eye-btn .mtm-label{font-size:12px;white-space:nowrap}\n.mtm-nav-collapsed .mtm-label{display:none}\n#mtm-obf-master{display:flex;align-items:center;gap:12px;transition:none!important}\n#mtm-obf-master .mtm-nav-title{display:inline-block;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;max-width:100%}\n#mtm-obf-master .mtm-nav-iconwrap{display:inline-flex;align-items:center;justify-content:center;flex:0 0 auto;min-width:20px;transition:none!important}\n#mtm-obf-master .mtm-eye-icon{display:inline-flex;align-items:center;justify-content:center;width:20px;height:20px;line-height:1}\n#mtm-obf-master .mtm-eye-icon::before,\n#mtm-obf-master .mtm-eye-icon::after{content:none!important}\n#mtm-obf-master .mtm-eye-icon svg{width:20px;height:20px;display:block}\n.sidebar-collapsed #mtm-obf-master,\n.mtm-nav-collapsed#mtm-obf-master,\n.mtm-nav-collapsed #mtm-obf-master{height:40px!important;padding-top:0!important;padding-bottom:0!important;transition:none!important}\n.sidebar-collapsed #mtm-obf-master .mtm-nav-title,\n.mtm-nav-collapsed #mtm-obf-master .mtm-nav-title{display:none!important}\n';
+        const css = '\n.mtm-amount-wrap{position:relative;display:inline-block;margin-right:.25em}\n[data-mtm-pending]{visibility:hidden!important}\n.mtm-amount-blur{filter:blur(5px)}\n::highlight(mtm-obf){color:transparent;text-shadow:0 0 8px rgba(128,128,128,.9)}\nbody.mtm-reveal-hover:not(.mtm-reveal-paused) .mtm-amount-blur:hover,.mtm-amount-blur:focus,.mtm-amount-blur.mtm-revealed{filter:none}\nbody.mt-obfuscate-on .fs-mask .recharts-yAxis .recharts-text tspan{opacity:0}\nbody.mt-obfuscate-on .recharts-yAxis .recharts-cartesian-axis-tick-value,\nbody.mt-obfuscate-on .recharts-yAxis .recharts-text,\nbody.mt-obfuscate-on .recharts-yAxis tspan{opacity:0!important}\nbody.mt-obfuscate-on input.fs-exclude:not(:focus):not(.mtm-amount-blur),\nbody.mt-obfuscate-on input[class*="CurrencyInput__Input-"]:not(:focus):not(.mtm-amount-blur),\n.mtm-input-masked:not(:focus){-webkit-text-security:disc;text-security:disc}\n.mtm-nav-eye-btn{display:flex;align-items:center;gap:12px;cursor:pointer;color:inherit;background:transparent;border:0;width:100%;padding:8px 10px;border-radius:8px;text-align:left}\n.mtm-nav-eye-btn:hover{background:rgba(255,255,255,.06)}\n.mtm-nav-eye-btn .mtm-iconwrap{display:flex;align-items:center;justify-content:center;width:40px;height:40px}\n.mtm-nav-eye-btn .mtm-icon{display:inline-flex;align-items:center;justify-content:center;width:20px;height:20px}\n.mtm-nav-eye-btn .mtm-icon svg{width:20px;height:20px;display:block}\n.mtm-nav-eye-btn .mtm-label{font-size:12px;white-space:nowrap}\n.mtm-nav-collapsed .mtm-label{display:none}\n#mtm-obf-master{display:flex;align-items:center;gap:12px;transition:none!important}\n#mtm-obf-master .mtm-nav-title{display:inline-block;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;max-width:100%}\n#mtm-obf-master .mtm-nav-iconwrap{display:inline-flex;align-items:center;justify-content:center;flex:0 0 auto;min-width:20px;transition:none!important}\n#mtm-obf-master .mtm-eye-icon{display:inline-flex;align-items:center;justify-content:center;width:20px;height:20px;line-height:1}\n#mtm-obf-master .mtm-eye-icon::before,\n#mtm-obf-master .mtm-eye-icon::after{content:none!important}\n#mtm-obf-master .mtm-eye-icon svg{width:20px;height:20px;display:block}\n.sidebar-collapsed #mtm-obf-master,\n.mtm-nav-collapsed#mtm-obf-master,\n.mtm-nav-collapsed #mtm-obf-master{height:40px!important;padding-top:0!important;padding-bottom:0!important;transition:none!important}\n.sidebar-collapsed #mtm-obf-master .mtm-nav-title,\n.mtm-nav-collapsed #mtm-obf-master .mtm-nav-title{display:none!important}\n.sidebar-collapsed #mtm-obf-nav .mtm-nav-gear,\n#mtm-obf-master.mtm-nav-collapsed + .mtm-nav-gear{display:none!important}\n#mtm-obf-nav{position:relative;order:9999}\n#mtm-obf-nav .mtm-nav-gear{position:absolute;right:12px;top:50%;transform:translateY(-50%);display:inline-flex;width:16px;height:16px;padding:0;border:0;background:transparent;color:inherit;cursor:pointer;opacity:.6}\n#mtm-obf-nav .mtm-nav-gear:hover,#mtm-obf-nav .mtm-nav-gear:focus-visible{opacity:1}\n#mtm-obf-nav .mtm-nav-gear svg{width:16px;height:16px;display:block}\n#mtm-obf-settings{position:fixed;inset:0;z-index:2147483000;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.4)}\n#mtm-obf-settings .mtm-settings-box{max-height:85vh;overflow:auto;width:360px;padding:16px 20px;border-radius:12px;background:#fff;color:#111;font:13px/1.4 system-ui,sans-serif;box-shadow:0 12px 40px rgba(0,0,0,.3)}\n#mtm-obf-settings .mtm-settings-head{display:flex;align-items:center;justify-content:space-between}\n#mtm-obf-settings h2{margin:0;font-size:16px}\n#mtm-obf-settings .mtm-settings-close{border:0;background:transparent;font-size:20px;cursor:pointer;color:inherit}\n#mtm-obf-settings fieldset{margin:12px 0 0;padding:0;border:0}\n#mtm-obf-settings legend{padding:0;margin-bottom:4px;font-weight:600}\n#mtm-obf-settings label{display:flex;align-items:center;justify-content:space-between;gap:12px;padding:3px 0}\n#mtm-obf-settings input[type="text"],#mtm-obf-settings select{width:150px}\n#mtm-obf-settings [aria-invalid="true"]{outline:2px solid #d33}\n#mtm-obf-settings textarea{width:100%;min-height:56px;box-sizing:border-box;font:12px/1.4 ui-monospace,monospace}\n#mtm-obf-settings .mtm-settings-row{display:flex;flex-wrap:wrap;gap:6px;padding:3px 0}\n#mtm-obf-settings .mtm-settings-status{margin-top:10px;white-space:pre-line}\n#mtm-obf-settings .mtm-settings-error{color:#c22}\n#mtm-obf-settings .mtm-settings-reset{margin-top:14px}\n';
         function inject(){
             try {
                 if (document.getElementById('mtm-obf-css')) return;
@@ -51,15 +291,23 @@
                 head.appendChild(style);
             } catch(e) { void e; }
         }
-        // When injected via Playwright addInitScript, document.head may not exist yet; defer safely.
-        if (document.head) inject();
-        else if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', inject, { once: true });
-        else inject();
+        // At document-start (and via Playwright addInitScript) <head> may not exist yet; <html> takes the style so
+        // the early-hide rule applies before the first paint.
+        if (document.head || document.documentElement) inject();
+        else document.addEventListener('DOMContentLoaded', inject, { once: true });
     })();
 
     // Central configuration: allowed routes, scan containers, and elements to skip.
     const MTM_OBF_CFG = {
-        routeAllow: [/^\/dashboard(?:\/|$)/, /^\/accounts(?:\/|$)/, /^\/transactions(?:\/|$)/, /^\/objectives(?:\/|$)/, /^\/goals(?:\/|$)/, /^\/plan(?:\/|$)/, /^\/investments(?:\/|$)/],
+        // Covered routes; each can be switched off in settings (pref 'route.<name>').
+        routeAllow: [
+            { name: 'dashboard', route: /^\/dashboard(?:\/|$)/ },
+            { name: 'accounts', route: /^\/accounts(?:\/|$)/ },
+            { name: 'transactions', route: /^\/transactions(?:\/|$)/ },
+            { name: 'goals', route: /^\/(?:goals|objectives)(?:\/|$)/ },
+            { name: 'plan', route: /^\/plan(?:\/|$)/ },
+            { name: 'investments', route: /^\/investments(?:\/|$)/ }
+        ],
         containerAllow: [
             'main',
             '[data-rbd-droppable-id="accountGroups"]',
@@ -72,29 +320,228 @@
             '[class*="AccountGroupCard__Content-"]',
             '[class*="AccountBalanceIndicator__Root-"]'
         ],
+        // Portal roots mounted outside the page containers (drawers, dialogs, popovers, toasts).
+        // Each gets its own scan and observer scope; form controls inside stay covered by skipSelectors.
+        portalRoots: [
+            '#side-drawer-root',
+            '.ReactModalPortal',
+            '[data-radix-portal]',
+            '[data-radix-popper-content-wrapper]',
+            '[role="dialog"]',
+            '[class*="Toast__"]',
+            '[class*="Popover__"]'
+        ],
+        // Monarch's GraphQL endpoint and the money fields the graphql engine rewrites, keyed by the __typename of
+        // the object holding them: generic names (amount, limit, value) are money only on these types, never on
+        // counts, pagination or settings elsewhere in a response.
+        graphqlEndpoint: /^https:\/\/api\.monarch(?:money)?\.com\/graphql(?:[?#]|$)/,
+        graphqlMoneyFields: {
+            Account: ['currentBalance', 'displayBalance', 'signedBalance', 'availableBalance', 'limit'],
+            Transaction: ['amount'],
+            RecurringTransactionStream: ['amount'],
+            TransactionsSummary: ['sumIncome', 'sumExpense', 'savings'],
+            BudgetMonthlyAmounts: ['plannedCashFlowAmount', 'plannedAmount', 'actualAmount', 'remainingAmount', 'rolloverAmount', 'previousMonthRolloverAmount', 'cumulativeActualAmount'],
+            BudgetTotals: ['plannedAmount', 'actualAmount', 'remainingAmount'],
+            AggregateSnapshot: ['balance', 'assetsBalance', 'liabilitiesBalance'],
+            SnapshotByType: ['balance'],
+            Holding: ['value', 'totalValue', 'basis', 'costBasis', 'closingPrice'],
+            Security: ['currentPrice', 'closingPrice', 'oneDayChangeDollars'],
+            GoalV2: ['targetAmount', 'currentAmount', 'plannedContribution', 'plannedMonthlyContribution']
+        },
+        // Rewritten values land in the app's cache. Operations feeding edit forms (drawers, modals, editors) are
+        // never rewritten, nor are mutations, so a form can't prefill with a stand-in and save it back to Monarch.
+        // Matched against whole words of the operation name ("Web_GetEditAccountForm" -> Web, Get, Edit, Account,
+        // Form), so reads like "Web_GetInvestmentsPerformance" or "GetLastUpdated" are still masked.
+        graphqlSkipOperations: /^(?:edit|form|drawer|modal|update|create|settings|rules?)$/i,
+        // CSV download columns rewritten by the download interceptor, matched against the header row.
+        csvAmountHeaders: /\b(?:amount|balance|total|value|price|cost(?: basis)?)\b/i,
         skipSelectors: [
             // App chrome & internal UIs
             '[class*="SideBar__"]','[class*="NavBarLink__"]',
-            '[id="side-drawer-root"]','[class*="FooterButtonContainer__"]',
+            '[class*="FooterButtonContainer__"]',
             'button','input','textarea','select','[contenteditable="true"]',
+            // Our own settings panel
+            '#mtm-obf-settings',
             // Skip highly dynamic charting/SVG areas to avoid DOM races
             'svg', '[class*="recharts-"]', '.recharts-wrapper',
             '[class*="MultipleLineChart__"]', '[class*="NetWorthPerformanceChart__"]',
             '[class*="CashFlowDashboardWidgetGraph__"]'
         ],
+        // Named surfaces for per-surface mask/clear rules. A node belongs to the first surface with a
+        // selector matching it or an ancestor; otherwise the first surface whose route matches. Order matters:
+        // the net worth chart sits on /accounts but must not fall through to account balances.
+        surfaces: [
+            { name: 'netWorth', selectors: ['[class*="AccountNetWorthCharts__"]', '[class*="NetWorthCharts__"]', '[class*="NetWorthPerformanceChart__"]', '[class*="AccountsDashboardWidget__"]'], routes: [] },
+            { name: 'accountBalances', selectors: ['[class*="AccountListItem__"]', '[class*="AccountGroupCard__"]', '[class*="AccountSummaryCardGroup__"]', '[class*="AccountBalanceIndicator__"]'], routes: [/^\/accounts(?:\/|$)/] },
+            { name: 'transactions', selectors: ['[class*="TransactionsList__"]', '[class*="TransactionOverview__"]', '[class*="TransactionsSummaryCard__"]', '[class*="TransactionsDashboardWidget__"]', '[class*="RecurringTransactionsDashboardWidget__"]'], routes: [/^\/transactions(?:\/|$)/] },
+            { name: 'budgets', selectors: ['[class*="PlanSummaryWidget"]', '[class*="Budget"]'], routes: [/^\/plan(?:\/|$)/] },
+            { name: 'goals', selectors: ['[class*="GoalDashboardRow__"]', '[class*="GoalCard__"]', '[class*="GoalNameProgressBar__"]'], routes: [/^\/(?:goals|objectives)(?:\/|$)/] },
+            { name: 'investments', selectors: ['[class*="InvestmentsDashboardWidget"]', '[class*="InvestmentsHoldings"]', '[class*="InvestmentsIndicator__"]'], routes: [/^\/investments(?:\/|$)/] }
+        ],
+        // Route strategies for amounts outside fs-exclude/fs-mask hosts, consumed by both the scan and the
+        // MutationObserver (MTM_ruleCandidates, MTM_ruleTextHost). Every rule whose route matches applies:
+        //   selectors  hosts matched directly (at most `limit` per scan); hosts holding fs-exclude nodes are left to that pass
+        //   leaves     dollar-leaf fallback caps per { scan, mutation } (MTM_collectDollarLeafCandidates)
+        //   self       an added node with maskable text is a host itself
+        //   compact    split-node handling ("$" and digits in sibling nodes): short containers whose whitespace-free
+        //              text is an amount of at most maxLength chars, capped per { scan, mutation }
+        //   textHost   host for in-place text updates: 'selectors' (closest selector match) or 'parent'
+        routeRules: [
+            { name: 'accounts', route: /^\/accounts(?:\/|$)/, limit: 300,
+                selectors: ['[class*="Card__CardRoot-"] .Text-qcxgyd-0', '[class*="Card__CardRoot-"] .Summary__SummaryValue', '[class*="AccountSummaryCardGroup__"] .fs-exclude', '[class*="AccountGroupCard__Content-"] .fs-exclude', '[class*="AccountBalanceIndicator__Root-"] .fs-exclude'] },
+            { name: 'dashboard', route: /^\/dashboard(?:\/|$)/, limit: 300, leaves: { scan: 450, mutation: 150 }, textHost: 'selectors',
+                selectors: ['[class*="CardTitle-"]', '[class*="DashboardWidget__Title-"]', '[class*="DashboardWidget__Description-"]', '[class*="GoalDashboardRow__Balance-"]', '[class*="RecurringTransactionsDashboardWidget__Amount-"]', '[class*="InvestmentsDashboardWidgetTopMoverRow__CurrentPriceText-"]'] },
+            { name: 'goals', route: /^\/(?:goals|objectives|plan)(?:\/|$)/, self: true, leaves: { scan: 450, mutation: 150 }, textHost: 'parent' },
+            { name: 'planTable', route: /^\/plan(?:\/|$)/, compact: { maxLength: 40, scan: 350, mutation: 180 } }
+        ],
     };
     // Precomputed skip selector for a single closest() check in hot paths.
     const MTM_SKIP_CLOSEST = MTM_OBF_CFG.skipSelectors.join(',');
+    const MTM_PORTAL_CLOSEST = MTM_OBF_CFG.portalRoots.join(',');
+    // Per-surface prefs ('mask' | 'clear'), e.g. MTM_OBF_SET_PREF('surface.netWorth', 'clear').
+    MTM_OBF_CFG.surfaces.forEach(function(surface){
+        surface.closest = surface.selectors.join(',');
+        MTM_PREFS['surface.' + surface.name] = { key: 'MTM_OBF_SURFACE_' + surface.name.toUpperCase(), def: 'mask', values: ['mask', 'clear'] };
+    });
+    MTM_OBF_CFG.routeAllow.forEach(function(entry){
+        MTM_PREFS['route.' + entry.name] = { key: null, def: '1', values: MTM_BOOL };
+    });
+    MTM_CONFIG = MTM_loadConfig();
+    // Extra host selectors from the settings object run as one more route rule, on every covered page.
+    const MTM_EXTRA_RULE = { name: 'extraSelectors', route: /^/, limit: 300, textHost: 'selectors', selectors: [] };
+    MTM_OBF_CFG.routeRules.push(MTM_EXTRA_RULE);
+    function MTM_syncExtraRule(){
+        MTM_EXTRA_RULE.selectors = (MTM_CONFIG && MTM_CONFIG.extraSelectors) || [];
+        MTM_EXTRA_RULE.selector = undefined;
+    }
+    MTM_syncExtraRule();
+    // Resolves the surface name for a node (selector match first, then route), or null when none applies.
+    function MTM_surfaceOf(el){
+        var surfaces = MTM_OBF_CFG.surfaces;
+        if(el && el.closest){
+            for (var i=0; i<surfaces.length; i++){
+                if(surfaces[i].closest && el.closest(surfaces[i].closest)) return surfaces[i].name;
+            }
+        }
+        var path = window.location.pathname || '';
+        for (var j=0; j<surfaces.length; j++){
+            if(surfaces[j].routes.some(function(rx){ return rx.test(path); })) return surfaces[j].name;
+        }
+        return null;
+    }
+    // False when the node's surface is set to 'clear'; nodes outside every surface are always masked.
+    function MTM_isSurfaceMasked(el){
+        var name = MTM_surfaceOf(el);
+        return !name || MTM_getPref('surface.' + name) !== 'clear';
+    }
+
+    // Currency markers: '$' (incl. prefixed variants like CA$/US$/A$), common symbols, and ISO 4217 codes.
+    // Codes are only accepted when not glued to other letters so words like "CADENCE" never match.
+    const MTM_CUR_CODES = 'USD|CAD|EUR|GBP|JPY|AUD|NZD|CHF|CNY|HKD|SGD|MXN|BRL|INR|KRW|SEK|NOK|DKK|PLN|ZAR';
+    const MTM_CUR_SYMBOLS = '[€£¥₹₩₽₺₪₫₱฿]';
+    const MTM_CUR_CODE_SRC = '(?<![A-Za-z])(?:' + MTM_CUR_CODES + ')(?![A-Za-z])';
+    const MTM_CUR_PREFIX_SRC = '(?:(?<![A-Za-z])[A-Z]{1,2}\\$|\\$|' + MTM_CUR_SYMBOLS + '|' + MTM_CUR_CODE_SRC + ')';
+    // '$' as a suffix (fr-CA "12,34 $") only when it does not start a following prefixed amount.
+    const MTM_CUR_SUFFIX_SYMBOL_SRC = '(?:' + MTM_CUR_SYMBOLS + '|\\$(?!\\s*\\d))';
+    // Digits with optional comma/period/apostrophe/no-break-space grouping and a comma or period decimal part.
+    const MTM_NUM_SRC = '\\d+(?:[,.\'’\\u00a0\\u202f]\\d{3})*(?:[.,]\\d+)?';
+    // Suffix amounts ("1 234,56 CHF") may also group with a plain space; "$12 345" stays two numbers.
+    const MTM_NUM_SPACED_SRC = '\\d+(?:[,.\'’\\u00a0\\u202f ]\\d{3})*';
+    const MTM_NUM_SUFFIX_SRC = MTM_NUM_SPACED_SRC + '(?:[.,]\\d+)?';
+    // Abbreviated magnitude glued to the digits ("$1.2K", "$3.4M"); a following letter means a word ("5 min").
+    const MTM_MAGNITUDE_SRC = '(?:[KMBTkmbt](?![A-Za-z]))?';
+    // Sign before the marker ("-$5", "+ $5"), between marker and digits ("$-5"), or before suffix amounts.
+    const MTM_SIGN_SRC = '(?:[-+−]\\s*)?';
+    const MTM_AMOUNT_SRC = MTM_CUR_PREFIX_SRC + '\\s*' + MTM_SIGN_SRC + MTM_NUM_SRC + MTM_MAGNITUDE_SRC;
+    const MTM_MONEY_SRC = '\\(\\s*' + MTM_SIGN_SRC + MTM_AMOUNT_SRC + '\\s*\\)'
+        + '|' + MTM_SIGN_SRC + MTM_AMOUNT_SRC
+        // "<n> USD" needs a decimal part or a glued code ("5USD") so counts like "Top 3 USD accounts" stay.
+        + '|(?<![\\d.,])[-+−]?(?:' + MTM_NUM_SUFFIX_SRC + MTM_MAGNITUDE_SRC + '\\s*' + MTM_CUR_SUFFIX_SYMBOL_SRC
+        + '|' + MTM_NUM_SUFFIX_SRC + MTM_MAGNITUDE_SRC + MTM_CUR_CODE_SRC
+        + '|' + MTM_NUM_SPACED_SRC + '[.,]\\d+' + MTM_MAGNITUDE_SRC + '\\s*' + MTM_CUR_CODE_SRC + ')';
 
     // Precompiled regexes to avoid re-allocation on hot paths
-    const MTM_RE_MONEY = /\$\s*[\d,.]+|\(\$\s*[\d,.]+\)|-\$\s*[\d,.]+/g;
-    const MTM_RE_FIRST_SIMPLE = /\$\s*[\d,.]+/;
-    const MTM_RE_PLAIN_MONEY = /\d{1,3}(?:,\d{3})+(?:\.\d+)?/;
-    const MTM_RE_PLAIN_MONEY_GLOBAL = /\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b/g;
-    const MTM_RE_CHART_DOLLAR = /\$\s*[-+]?\s*[\d,.]+(?:[KMBTkmbt])?/;
-    // Hoisted dashboard selector reused in multiple places to avoid string rebuilds.
-    var MTM_DASH_SEL = window.MTM_DASH_SEL || '[class*="CardTitle-"], [class*="DashboardWidget__Title-"], [class*="DashboardWidget__Description-"], [class*="GoalDashboardRow__Balance-"], [class*="RecurringTransactionsDashboardWidget__Amount-"], [class*="InvestmentsDashboardWidgetTopMoverRow__CurrentPriceText-"]';
-    window.MTM_DASH_SEL = MTM_DASH_SEL;
+    const MTM_RE_FIRST_SIMPLE = new RegExp(MTM_MONEY_SRC);
+    // Symbol-only presence check (codes need an adjacent number, see MTM_RE_FIRST_SIMPLE).
+    const MTM_RE_CURRENCY_MARK = new RegExp('\\$|' + MTM_CUR_SYMBOLS);
+    // Prefix marker at the end of a text node whose digits live in the following node(s).
+    const MTM_RE_DANGLING_PREFIX = new RegExp('(?:\\(\\s*)?' + MTM_SIGN_SRC + MTM_CUR_PREFIX_SRC + '\\s*' + MTM_SIGN_SRC + '$');
+    const MTM_RE_NUM = new RegExp(MTM_NUM_SUFFIX_SRC);
+    const MTM_RE_PERCENT = /(?<![\d.,])[-+−]?\d+(?:[.,]\d+)?\s?%/;
+    const MTM_RE_CHART_DOLLAR = new RegExp(MTM_CUR_PREFIX_SRC + '\\s*[-+]?\\s*' + MTM_NUM_SRC + '(?:[KMBTkmbt])?');
+
+    // Locale-aware recognizer for plain amounts without a currency marker ("7,622.26", "622.26", "1.234,56").
+    // Driven by the locale pref (e.g. "de-CH") or the browser locale; Monarch's own en-US
+    // formatting is always recognized too. Only grouped thousands or exactly two decimals count as money,
+    // so dates ("12.05.2024"), counts ("3"), years ("2024") and percentages ("23.40%") are left alone.
+    // Two decimals alone ("12.50 shares", "Version 1.10") also need a money context, see MTM_hasMoneyContext.
+    var MTM_PLAIN_RECOGNIZER = null;
+    function MTM_numberLocale(){
+        var pref = '';
+        try { pref = MTM_getPref('locale'); } catch(e) { void e; }
+        return pref || (navigator.languages && navigator.languages[0]) || navigator.language || 'en-US';
+    }
+    function MTM_localeSeparators(locale){
+        var out = { group: ',', decimal: '.' };
+        try {
+            new Intl.NumberFormat(locale).formatToParts(1234567.89).forEach(function(part){
+                if(part.type === 'group') out.group = part.value;
+                if(part.type === 'decimal') out.decimal = part.value;
+            });
+        } catch(e) { void e; }
+        return out;
+    }
+    // Regex source for one separator; spaces and apostrophes are interchangeable across browsers/locales.
+    function MTM_sepClass(ch){
+        if(/[\s\u00a0\u202f]/.test(ch)) return '[ \\u00a0\\u202f]';
+        if(ch === '\'' || ch === '’') return '[\'’]';
+        return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    function MTM_plainNumberSrc(seps, groupedOnly){
+        var g = MTM_sepClass(seps.group);
+        var d = MTM_sepClass(seps.decimal);
+        var grouped = '\\d{1,3}(?:' + g + '\\d{3})+(?:' + d + '\\d{2})?';
+        return groupedOnly ? grouped : grouped + '|\\d+' + d + '\\d{2}';
+    }
+    function MTM_plainMoneyRecognizer(){
+        var locale = MTM_numberLocale();
+        if(MTM_PLAIN_RECOGNIZER && MTM_PLAIN_RECOGNIZER.locale === locale) return MTM_PLAIN_RECOGNIZER;
+        var seps = MTM_localeSeparators(locale);
+        function plainSrc(groupedOnly){
+            var srcs = [MTM_plainNumberSrc({ group: ',', decimal: '.' }, groupedOnly)];
+            if(seps.group !== ',' || seps.decimal !== '.') srcs.push(MTM_plainNumberSrc(seps, groupedOnly));
+            return '(?<![A-Za-z\\d.,\'’\\u00a0\\u202f/:])(?:' + srcs.join('|') + ')(?![\\d%]|\\s%|[.,/:\'’\\u00a0\\u202f]\\d)';
+        }
+        var src = plainSrc(false);
+        var groupedSrc = plainSrc(true);
+        MTM_PLAIN_RECOGNIZER = {
+            locale: locale,
+            re: new RegExp(src),
+            grouped: new RegExp(groupedSrc),
+            anyGlobal: new RegExp(MTM_MONEY_SRC + '|' + src, 'g'),
+            anyGroupedGlobal: new RegExp(MTM_MONEY_SRC + '|' + groupedSrc, 'g')
+        };
+        return MTM_PLAIN_RECOGNIZER;
+    }
+    // True when a node sits inside a money surface or an active route-rule host, where an ungrouped
+    // two-decimal number ("48.10") is an amount rather than a version, rating or share count.
+    function MTM_hasMoneyContext(el){
+        if(!el || !el.closest) return false;
+        var surfaces = MTM_OBF_CFG.surfaces;
+        for (var i=0; i<surfaces.length; i++){
+            if(surfaces[i].closest && el.closest(surfaces[i].closest)) return true;
+        }
+        var rules = MTM_activeRouteRules();
+        for (var j=0; j<rules.length; j++){
+            if(rules[j].selector && el.closest(rules[j].selector)) return true;
+        }
+        return false;
+    }
+    // Plain-amount regex for text inside el: every money-like number in a money context, grouped thousands elsewhere.
+    function MTM_plainMoneyRe(el){
+        var rec = MTM_plainMoneyRecognizer();
+        return MTM_hasMoneyContext(el) ? rec.re : rec.grouped;
+    }
     // Dedupe and batching helpers
     // Dedupe structures and batching queues for observer work.
     window.MTM_SEEN = window.MTM_SEEN || new WeakSet();
@@ -113,53 +560,102 @@
         }
         if(didEnqueue) MTM_scheduleProcessQueue();
     },{root: null, rootMargin: '200px', threshold: 0}) : null);
+    // True when an element is itself a scroll container with overflowing content. The computed overflow comes
+    // first: reading scrollHeight forces a layout, so it is only read for elements that can scroll at all.
+    function MTM_isScrollContainer(p){
+        try {
+            var st = window.getComputedStyle(p);
+            var oy = st && st.overflowY;
+            if(oy !== 'auto' && oy !== 'scroll') return false;
+            return p.scrollHeight > (p.clientHeight + 20);
+        } catch(e) { void e; }
+        return false;
+    }
+    // Per-batch memo of "this element or an ancestor scrolls" (element -> bool). Rows of one list share their
+    // ancestor chain, so each container's style is read once per scan or mutation batch instead of once per row.
+    // The memo is dropped after the current task (scroll heights change as virtualized lists grow).
+    var MTM_SCROLL_MEMO = null;
     // True when the candidate sits inside its own scroll container (virtualized panes/tables).
     // For these, viewport IntersectionObserver can miss updates permanently, so process directly.
     function MTM_hasScrollableAncestor(el){
+        if(!MTM_SCROLL_MEMO){
+            MTM_SCROLL_MEMO = new Map();
+            Promise.resolve().then(function(){ MTM_SCROLL_MEMO = null; });
+        }
+        var chain = [];
+        var found = false;
         var p = el && el.parentElement;
         while(p && p !== document.body){
-            try {
-                var st = window.getComputedStyle(p);
-                if(st){
-                    var oy = st.overflowY;
-                    if((oy === 'auto' || oy === 'scroll') && p.scrollHeight > (p.clientHeight + 20)){
-                        return true;
-                    }
-                }
-            } catch(e) { void e; }
+            if(MTM_SCROLL_MEMO.has(p)) { found = MTM_SCROLL_MEMO.get(p); break; }
+            chain.push(p);
+            if(MTM_isScrollContainer(p)) { found = true; break; }
             p = p.parentElement;
         }
-        return false;
+        for (var i=0; i<chain.length; i++) MTM_SCROLL_MEMO.set(chain[i], found);
+        return found;
     }
-    function MTM_hasMaskableText(txt){
+    // el is the node holding txt; without one, only grouped plain amounts count (see MTM_plainMoneyRe).
+    function MTM_hasMaskableText(txt, el){
         if(!txt) return false;
-        return txt.indexOf('$') !== -1 || MTM_RE_PLAIN_MONEY.test(txt);
+        var rec = MTM_plainMoneyRecognizer();
+        return MTM_RE_CURRENCY_MARK.test(txt) || MTM_RE_FIRST_SIMPLE.test(txt) || rec.grouped.test(txt)
+            || (rec.re.test(txt) && MTM_hasMoneyContext(el))
+            || (MTM_RE_PERCENT.test(txt) && MTM_isPercentMaskOn());
     }
-    // Returns true when an element still contains raw '$' text outside our wrappers.
+    // Returns true when an element still contains raw currency text outside our wrappers. Under the highlight
+    // renderer, a text node whose ranges are current for its text and generation counts as covered.
     function MTM_hasUnwrappedDollarText(el){
         if(!el || !(el instanceof Element)) return false;
         var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, null);
         while(walker.nextNode()){
             var n = walker.currentNode;
             var t = n && n.nodeValue || '';
-            if(!MTM_hasMaskableText(t)) continue;
             var p = n.parentElement;
-            if(!p) continue;
+            if(!p || !MTM_hasMaskableText(t, p)) continue;
+            var painted = MTM_HIGHLIGHT_NODES.get(n);
+            if(painted && painted.text === t && painted.gen === MTM_HIGHLIGHT_GEN) continue;
             if(p.closest && p.closest('.mtm-amount-wrap')) continue;
             if(MTM_SKIP_CLOSEST && p.closest && p.closest(MTM_SKIP_CLOSEST)) continue;
             return true;
         }
         return false;
     }
+    // Time-to-mask instrumentation: candidates found by a MutationObserver callback are stamped with the
+    // callback time (≈ when the node was added) and measured again when MTM_processPendingQueue wraps them.
+    // Percentiles over the last MTM_LATENCY_CAP samples live in MTM_OBF_STATS.latency (milliseconds).
+    const MTM_LATENCY_CAP = 500;
+    var MTM_LATENCY_NOW = 0;
+    var MTM_LATENCY_ADDED = new WeakMap();
+    var MTM_LATENCY_SAMPLES = [];
+    function MTM_noteCandidate(el){
+        if(MTM_LATENCY_NOW && !MTM_LATENCY_ADDED.has(el)) MTM_LATENCY_ADDED.set(el, MTM_LATENCY_NOW);
+    }
+    function MTM_recordLatency(el, now){
+        var t = MTM_LATENCY_ADDED.get(el);
+        if(t === undefined) return false;
+        MTM_LATENCY_ADDED.delete(el);
+        MTM_LATENCY_SAMPLES.push(now - t);
+        if(MTM_LATENCY_SAMPLES.length > MTM_LATENCY_CAP) MTM_LATENCY_SAMPLES.shift();
+        return true;
+    }
+    function MTM_updateLatencyStats(){
+        var sorted = MTM_LATENCY_SAMPLES.slice().sort(function(a, b){ return a - b; });
+        function pct(p){ return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] * 10) / 10; }
+        var prev = window.MTM_OBF_STATS.latency;
+        window.MTM_OBF_STATS.latency = { count: (prev ? prev.count : 0), samples: sorted.length, p50: pct(0.5), p90: pct(0.9), p99: pct(0.99), max: pct(1) };
+    }
     // Watch helper: observes element visibility or falls back to immediate queueing.
     function MTM_watch(el){
         if(!el || !MTM_isActive()) return;
+        MTM_noteCandidate(el);
         if(MTM_hasScrollableAncestor(el)){
             MTM_enqueue(el);
             MTM_scheduleProcessQueue();
             return;
         }
         if(window.MTM_IO){
+            // Hidden until the IntersectionObserver hands it to the queue (or the prehide timeout passes).
+            if(MTM_shouldProcess(el)) MTM_markPending(el);
             try { window.MTM_IO.observe(el); } catch(e) { void e; MTM_enqueue(el); MTM_scheduleProcessQueue(); }
         } else {
             MTM_enqueue(el);
@@ -172,6 +668,7 @@
         if(window.MTM_SEEN && window.MTM_SEEN.has(el) && !MTM_hasUnwrappedDollarText(el)) return false;
         if(el.querySelector && el.querySelector('.mtm-amount') && !MTM_hasUnwrappedDollarText(el)) return false;
         if(el.closest && el.closest('.mtm-amount-wrap')) return false;
+        if(!MTM_isSurfaceMasked(el)) return false;
         return true;
     }
     // Enqueue a candidate element for masked wrapping; skips already processed/masked hosts.
@@ -179,13 +676,75 @@
         if(!MTM_isActive()) return;
         if(!MTM_shouldProcess(el)) return;
         window.MTM_OBF_PENDING.add(el);
+        MTM_noteCandidate(el);
+        MTM_markPending(el);
         try { window.MTM_OBF_STATS.enqueued += 1; } catch(e) { void e; }
     }
+    // Early-hide layer: queued hosts carry data-mtm-pending (hidden by CSS) until MTM_processPendingQueue has
+    // handled them. A host is never hidden longer than MTM_PREHIDE_TIMEOUT_MS, whatever happens to the queue.
+    const MTM_PREHIDE_TIMEOUT_MS = 1500;
+    var MTM_PREHIDE_MARKS = new Map();
+    var MTM_PREHIDE_SWEEP = null;
+    function MTM_markPending(el){
+        if(MTM_PREHIDE_MARKS.has(el)) return;
+        try { el.setAttribute('data-mtm-pending', ''); } catch(e) { void e; return; }
+        MTM_PREHIDE_MARKS.set(el, Date.now());
+        if(!MTM_PREHIDE_SWEEP) MTM_PREHIDE_SWEEP = setTimeout(MTM_sweepPending, MTM_PREHIDE_TIMEOUT_MS);
+    }
+    function MTM_clearPending(el){
+        if(!MTM_PREHIDE_MARKS.delete(el)) return;
+        try { el.removeAttribute('data-mtm-pending'); } catch(e) { void e; }
+    }
+    // Timeout safety: reveals hosts hidden for too long (or all of them), rescheduling while marks remain.
+    function MTM_sweepPending(all){
+        if(MTM_PREHIDE_SWEEP) { clearTimeout(MTM_PREHIDE_SWEEP); MTM_PREHIDE_SWEEP = null; }
+        var cutoff = Date.now() - MTM_PREHIDE_TIMEOUT_MS;
+        MTM_PREHIDE_MARKS.forEach(function(t, el){ if(all === true || t <= cutoff) MTM_clearPending(el); });
+        if(MTM_PREHIDE_MARKS.size) MTM_PREHIDE_SWEEP = setTimeout(MTM_sweepPending, MTM_PREHIDE_TIMEOUT_MS);
+    }
+    // While masking is ON, watch the whole document and queue money hosts directly, skipping IntersectionObserver,
+    // so hosts added or re-rendered anywhere (including before the scoped observers start) are hidden before paint.
+    var MTM_PREHIDE_OBS = null;
+    function MTM_armPrehide(){
+        if(!MTM_isActive() || !document.documentElement || MTM_PREHIDE_OBS) return;
+        MTM_PREHIDE_OBS = new MutationObserver(function(mutations){
+            if(!MTM_isActive()) return;
+            MTM_LATENCY_NOW = performance.now();
+            for (var i=0; i<mutations.length; i++){
+                // In-place text updates (a balance ticking over) re-hide their host until it is masked again.
+                if(mutations[i].type === 'characterData'){
+                    var p = mutations[i].target.parentElement;
+                    if(!p || (p.closest && p.closest('.mtm-amount-wrap'))) continue;
+                    var host = p.closest('.fs-exclude, .fs-mask');
+                    if(host && !(MTM_SKIP_CLOSEST && host.closest(MTM_SKIP_CLOSEST)) && MTM_hasMaskableText(mutations[i].target.nodeValue, p)) MTM_enqueue(host);
+                    continue;
+                }
+                var added = mutations[i].addedNodes;
+                for (var j=0; j<added.length; j++){
+                    var node = added[j];
+                    if(!(node instanceof Element)) continue;
+                    var hosts = node.matches('.fs-exclude, .fs-mask') ? [node] : [];
+                    hosts = hosts.concat(Array.prototype.slice.call(node.querySelectorAll('.fs-exclude, .fs-mask')));
+                    for (var k=0; k<hosts.length; k++){
+                        if(MTM_SKIP_CLOSEST && hosts[k].closest(MTM_SKIP_CLOSEST)) continue;
+                        if(MTM_hasMaskableText(hosts[k].textContent || '', hosts[k])) MTM_enqueue(hosts[k]);
+                    }
+                }
+            }
+            MTM_LATENCY_NOW = 0;
+            if(window.MTM_OBF_PENDING.size > 0) MTM_scheduleProcessQueue();
+        });
+        MTM_PREHIDE_OBS.observe(document.documentElement, { childList: true, characterData: true, subtree: true });
+    }
+    function MTM_disarmPrehide(){
+        if(MTM_PREHIDE_OBS) { MTM_PREHIDE_OBS.disconnect(); MTM_PREHIDE_OBS = null; }
+    }
     // Processes the pending queue within a frame time budget to avoid long tasks.
     function MTM_processPendingQueue(){
         if(!MTM_isActive()){
             try { window.MTM_OBF_PENDING.clear(); } catch(e) { void e; }
             window.MTM_OBF_SCHEDULED = false;
+            MTM_sweepPending(true);
             return;
         }
         try { window.MTM_OBF_STATS.queueRuns += 1; } catch(e) { void e; }
@@ -193,6 +752,7 @@
         const budgetMs = 8;
         const cap = 300;
         let processed = 0;
+        let measured = 0;
         // Drain a frame-budgeted slice
         const it = window.MTM_OBF_PENDING.values();
         let step = it.next();
@@ -201,13 +761,22 @@
             window.MTM_OBF_PENDING.delete(el);
             if(el && el.isConnected){
                 try { window.MTM_OBF_STATS.wrapAttempts += 1; } catch(e) { void e; }
-                var wrappedCount = MTM_wrapAllAmounts(el, 10);
-                if(wrappedCount > 0) { processed+=1; try { window.MTM_OBF_STATS.wrapSuccess += wrappedCount; } catch(e) { void e; } }
+                var wrappedCount = MTM_isHighlightRenderer() ? MTM_highlightAmounts(el) : MTM_wrapAllAmounts(el, 10);
+                if(wrappedCount > 0) {
+                    processed+=1;
+                    try { window.MTM_OBF_STATS.wrapSuccess += wrappedCount; } catch(e) { void e; }
+                    if(MTM_recordLatency(el, performance.now())) measured += 1;
+                }
                 try{ if(window.MTM_SEEN) window.MTM_SEEN.add(el);}catch(e){ void e; }
             }
+            MTM_clearPending(el);
             if(processed >= cap || (performance.now() - start) > budgetMs) break;
             step = it.next();
         }
+        if(measured){
+            try { MTM_updateLatencyStats(); window.MTM_OBF_STATS.latency.count += measured; } catch(e) { void e; }
+        }
+        MTM_pruneHighlight();
         MTM_applyAuxMasks();
         if(window.MTM_OBF_PENDING.size > 0){
             requestAnimationFrame(MTM_processPendingQueue);
@@ -239,100 +808,366 @@
     // Returns true if current SPA route should have masking active.
     function MTM_isRouteAllowed() {
         const p = window.location.pathname;
-        return MTM_OBF_CFG.routeAllow.some(rx => rx.test(p));
+        return MTM_OBF_CFG.routeAllow.some(function(entry){ return entry.route.test(p) && MTM_getPref('route.' + entry.name) == 1; });
     }
     // Returns user preference for masking (driven by sidebar toggle or settings checkbox).
-    function MTM_isObfEnabled() { return getCookie('MT_HideSensitiveInfo', true) == 1; }
+    function MTM_isObfEnabled() { return !window.MTM_OBF_DISABLED && getCookie('MT_HideSensitiveInfo', true) == 1; }
     // Single source of truth for whether masking work should run.
-    function MTM_isActive(){ return MTM_isRouteAllowed() && MTM_isObfEnabled(); }
+    function MTM_isActive(){ return MTM_isRouteAllowed() && MTM_isObfEnabled() && MTM_isDomEngineOn(); }
+    const MTM_ENGINES = { dom: true, graphql: true, both: true };
+    function MTM_engine(){
+        var engine = MTM_getPref('engine');
+        return Object.prototype.hasOwnProperty.call(MTM_ENGINES, engine) ? engine : MTM_PREFS.engine.def;
+    }
+    function MTM_isDomEngineOn(){ return MTM_engine() !== 'graphql'; }
+    function MTM_isGraphqlEngineOn(){ return MTM_isObfEnabled() && MTM_engine() !== 'dom'; }
     // Finds DOM roots to scan/observe, limited to known containers for performance.
     function MTM_findScopes() {
         const roots = MTM_OBF_CFG.containerAllow.map(sel => Array.from(document.querySelectorAll(sel))).flat();
-        return roots.length ? roots : [document];
+        if(!roots.length) return [document];
+        // Portals render outside the containers; add the ones not already covered by a container scope.
+        MTM_findPortalRoots(document.body).forEach(function(portal){
+            if(!roots.some(function(r){ return r.contains(portal); })) roots.push(portal);
+        });
+        return roots;
+    }
+    // Returns the outermost portal roots at or below a node (nested portal matches are covered by their ancestor).
+    function MTM_findPortalRoots(node){
+        if(!node || !(node instanceof Element)) return [];
+        if(node.matches(MTM_PORTAL_CLOSEST)) return [node];
+        return Array.from(node.querySelectorAll(MTM_PORTAL_CLOSEST)).filter(function(el){
+            return !el.parentElement.closest(MTM_PORTAL_CLOSEST);
+        });
+    }
+    // True when a node renders inside a drawer/dialog/popover/toast portal.
+    function MTM_isInPortal(el){ return !!(el && el.closest && el.closest(MTM_PORTAL_CLOSEST)); }
+    // Splits a formatted number into its numeric value and separators ("1.234,56" -> 1234.56, '.', ',').
+    // A lone separator followed by exactly three digits is treated as grouping ("1,234", "1.234").
+    function MTM_parseNumber(num){
+        var s = String(num);
+        var lastSep = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+        var decimalSep = '';
+        if(lastSep !== -1){
+            var ch = s.charAt(lastSep);
+            var hasOther = s.indexOf(ch === '.' ? ',' : '.') !== -1;
+            var count = s.split(ch).length - 1;
+            if(hasOther || (count === 1 && s.length - lastSep - 1 !== 3)) decimalSep = ch;
+        }
+        var intPart = decimalSep ? s.slice(0, lastSep) : s;
+        var fracPart = decimalSep ? s.slice(lastSep + 1) : '';
+        var g = intPart.match(/[^\d]/);
+        var groupSep = g ? g[0] : (decimalSep === ',' ? '.' : ',');
+        var value = parseFloat(intPart.replace(/\D/g, '') + (fracPart ? '.' + fracPart.replace(/\D/g, '') : ''));
+        return { value: value, decimalSep: decimalSep || (groupSep === '.' ? ',' : '.'), groupSep: groupSep, fractionDigits: fracPart.length };
+    }
+    // Parses one money token (as matched by MTM_MONEY_SRC or the plain recognizer) into sign, currency marker and number parts.
+    function MTM_parseMoneyToken(tok){
+        var t = String(tok).trim();
+        var paren = t.charAt(0) === '(' && t.charAt(t.length - 1) === ')';
+        if(paren) t = t.slice(1, -1).trim();
+        var m = t.match(MTM_RE_NUM);
+        if(!m) return null;
+        var before = t.slice(0, m.index);
+        var after = t.slice(m.index + m[0].length);
+        var num = MTM_parseNumber(m[0]);
+        var signMatch = before.match(/[-+−]/);
+        var mag = after.match(/^[KMBTkmbt](?![A-Za-z])/);
+        var magnitude = mag ? mag[0] : '';
+        return {
+            raw: String(tok).trim(),
+            paren: paren,
+            sign: signMatch ? (signMatch[0] === '+' ? '+' : '-') : '',
+            // "$-5" keeps its sign after the marker; "-$5" / "- $5" render as "-$".
+            signInner: !!signMatch && /\S/.test(before.slice(0, signMatch.index)),
+            prefix: before.replace(/[-+−]\s*/, '').replace(/^\s+/, ''),
+            suffix: after.slice(magnitude.length),
+            number: m[0],
+            magnitude: magnitude,
+            value: num.value * (MTM_MAGNITUDES[magnitude.toUpperCase()] || 1),
+            decimalSep: num.decimalSep,
+            groupSep: num.groupSep,
+            fractionDigits: num.fractionDigits
+        };
+    }
+    const MTM_MAGNITUDES = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+    // Formats a replacement value with the token's separators, decimal count and magnitude suffix
+    // ("1.234,56" style in, same style out; "$1.2K" stays in thousands).
+    function MTM_formatLike(tok, value){
+        var mag = tok.magnitude || '';
+        var abs = Math.abs(value) / (MTM_MAGNITUDES[mag.toUpperCase()] || 1);
+        var parts = abs.toFixed(tok.fractionDigits).split('.');
+        var intPart = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, tok.groupSep);
+        return (parts.length > 1 ? intPart + tok.decimalSep + parts[1] : intPart) + mag;
+    }
+    // FNV-1a; small and stable across browsers, good enough to spread demo values.
+    function MTM_hash32(str){
+        var h = 0x811c9dc5;
+        for (var i=0; i<str.length; i++){
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h >>> 0;
+    }
+    // Per-tab session seed so demo values are stable across routes but differ between sessions.
+    function MTM_demoSeed(){
+        var seed = '';
+        try { seed = sessionStorage.getItem('MTM_OBF_DEMO_SEED') || ''; } catch(e) { void e; }
+        if(!seed){
+            seed = String(Math.floor(Math.random() * 0x7fffffff));
+            try { sessionStorage.setItem('MTM_OBF_DEMO_SEED', seed); } catch(e) { void e; }
+        }
+        return seed;
+    }
+    // Maps an absolute amount to a stable fake with the same number of integer digits.
+    function MTM_demoValue(abs){
+        var h = MTM_hash32(MTM_demoSeed() + ':' + abs.toFixed(2));
+        var intDigits = abs >= 1 ? String(Math.floor(abs)).length : 0;
+        var lo = intDigits ? Math.pow(10, intDigits - 1) : 0;
+        var intPart = intDigits ? lo + (h % (9 * lo)) : 0;
+        return intPart + (MTM_hash32(String(h)) % 100) / 100;
+    }
+
+    // Mask strategies (pref maskStyle). Each renders the digit part of a parsed token; sign, currency
+    // marker and parentheses are re-applied by MTM_renderMaskedToken unless the strategy returns `whole`.
+    const MTM_MASK_STYLES = {
+        // Same shape for every value, so a $12 coffee and a $1.2M net worth look identical.
+        fixed: function(tok){ return '*' + tok.groupSep + '***' + tok.decimalSep + '**'; },
+        // Keeps the digit count, separators and magnitude ("$12.00" -> "$**.**", "$1.2K" -> "$*.*K").
+        length: function(tok){ return tok.number.replace(/\d/g, '*') + tok.magnitude; },
+        glyph: function(){ return '•••'; },
+        placeholder: function(){ return { whole: MTM_getPref('maskPlaceholder') }; },
+        // Text stays intact; the .mtm-amount-blur class (see MTM_applyBlur) hides it visually.
+        blur: function(tok){ return { whole: tok.raw }; },
+        // Believable fake numbers for recordings: the same original value maps to the same fake everywhere.
+        demo: function(tok){ return MTM_formatLike(tok, MTM_demoValue(tok.value)); },
+        // Multiplies every amount by the secret scaleFactor so shares, progress and comparisons stay truthful.
+        // Without a usable factor (unset, invalid or 1) it falls back to the fixed shape rather than leak.
+        scale: function(tok){
+            var factor = MTM_scaleFactor();
+            if(!factor) return MTM_MASK_STYLES.fixed(tok);
+            return MTM_formatLike(tok, tok.value * factor);
+        }
+    };
+    // Styles whose output stands in for the real value; hover-to-reveal stays off for them.
+    const MTM_NO_REVEAL_STYLES = { demo: true, scale: true };
+    function MTM_scaleFactor(){
+        var f = parseFloat(MTM_getPref('scaleFactor'));
+        return (isFinite(f) && f > 0 && f !== 1) ? f : 0;
+    }
+    function MTM_maskStyle(){
+        var style = MTM_getPref('maskStyle');
+        return Object.prototype.hasOwnProperty.call(MTM_MASK_STYLES, style) ? style : MTM_PREFS.maskStyle.def;
+    }
+    // Short magnitude label for approximations (950 -> "950", 4200 -> "4.2K", 3000000 -> "3M").
+    function MTM_compactAmount(n){
+        var units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+        for (var i=0; i<units.length; i++){
+            if(n >= units[i][0]) return String(Math.round(n / units[i][0] * 10) / 10) + units[i][1];
+        }
+        return String(Math.round(n));
+    }
+    // Token's marker around text, with the sign where the original had it ("-$5" -> "-$", "$-5" -> "$-").
+    function MTM_signedAmount(tok, text){
+        return tok.signInner ? tok.prefix + tok.sign + text + tok.suffix : tok.sign + tok.prefix + text + tok.suffix;
+    }
+    // Bound for small values: "<$100", or ">-$100" for a negative amount. Parentheses wrap the result later.
+    function MTM_belowBound(tok, bound){
+        return (tok.sign === '-' ? '>' : '<') + MTM_signedAmount(tok, bound);
+    }
+    // Approximate renderings for the precision pref: a glance-level middle ground between masked and revealed.
+    // 'exact' returns null so the active mask style applies unchanged.
+    const MTM_PRECISIONS = {
+        exact: function(){ return null; },
+        // "$4,201.28" -> "$4,2xx"
+        hundreds: function(tok){
+            if(tok.value < 100) return MTM_belowBound(tok, '100');
+            var digits = MTM_formatLike({ fractionDigits: 0, groupSep: tok.groupSep, decimalSep: tok.decimalSep }, Math.floor(tok.value));
+            return MTM_signedAmount(tok, digits.replace(/\d(?=(?:\D*\d){0,1}\D*$)/g, 'x'));
+        },
+        // "$4,201.28" -> "~$4K", "-$4,201.28" -> "~-$4K"
+        thousands: function(tok){
+            if(tok.value < 1000) return MTM_belowBound(tok, '1K');
+            return '~' + MTM_signedAmount(tok, MTM_compactAmount(Math.round(tok.value / 1000) * 1000));
+        },
+        // "$4,201.28" -> "$1K–$10K", "-$4,201.28" -> "-$10K–-$1K" (low to high)
+        magnitude: function(tok){
+            if(tok.value < 1) return MTM_belowBound(tok, '1');
+            var lo = Math.pow(10, Math.floor(Math.log10(tok.value)));
+            var a = MTM_signedAmount(tok, MTM_compactAmount(lo));
+            var b = MTM_signedAmount(tok, MTM_compactAmount(lo * 10));
+            return tok.sign === '-' ? b + '–' + a : a + '–' + b;
+        }
+    };
+    function MTM_precision(){
+        var p = MTM_getPref('precision');
+        return Object.prototype.hasOwnProperty.call(MTM_PRECISIONS, p) ? p : MTM_PREFS.precision.def;
     }
-    // Masks any dollar amounts within a string to a normalized $*,***.** shape.
+    // Renders the masked form of a parsed token with the active strategy, keeping its currency marker.
+    // A non-exact precision pref takes over from the mask style with an approximation of the real value.
+    function MTM_renderMaskedToken(tok){
+        var approx = MTM_PRECISIONS[MTM_precision()](tok);
+        if(approx !== null) return tok.paren ? '(' + approx + ')' : approx;
+        var digits = MTM_MASK_STYLES[MTM_maskStyle()](tok);
+        if(digits && typeof digits === 'object') return digits.whole;
+        var masked = MTM_signedAmount(tok, digits);
+        return tok.paren ? '(' + masked + ')' : masked;
+    }
+    // Removes classes the script added, dropping the class attribute when it was only there for them.
+    function MTM_removeClasses(el, classes){
+        classes.forEach(function(c){ el.classList.remove(c); });
+        if(el.getAttribute('class') === '') el.removeAttribute('class');
+    }
+    // Toggles the CSS blur used by the 'blur' strategy on any masked host (spans, SVG labels, inputs).
+    function MTM_applyBlur(el, on){
+        if(!el || !el.classList) return;
+        if(on && MTM_maskStyle() === 'blur') el.classList.add('mtm-amount-blur');
+        else if(el.classList.contains('mtm-amount-blur')) MTM_removeClasses(el, ['mtm-amount-blur']);
+    }
+    // Masks any currency amounts within a string using the active strategy (marker and separators kept).
     function MTM_maskMoneyValue(s){
-        var out = String(s).replace(MTM_RE_MONEY, function(m){
-            // Standardize to $*,***.** while keeping sign and parentheses
-            var isNeg = m.trim().startsWith('-$');
-            var isParen = /^\(\$/.test(m.trim());
-            var masked = '$*,***.**';
-            if(isNeg) masked = '-'+masked;
-            if(isParen) masked = '('+masked+')';
-            return masked;
+        // Single pass over currency tokens and plain money-like values (e.g. "7,622.26", "1.234,56") so
+        // strategies that emit digits (demo) never get their own output re-masked.
+        return String(s).replace(MTM_plainMoneyRecognizer().anyGlobal, function(m){
+            var tok = MTM_parseMoneyToken(m);
+            if(!tok || MTM_isBelowThreshold(tok)) return m;
+            return MTM_renderMaskedToken(tok);
         });
-        // Also mask plain money-like values without a leading '$' (e.g. "7,622.26").
-        out = out.replace(MTM_RE_PLAIN_MONEY_GLOBAL, '*,***.**');
-        return out;
+    }
+
+    function MTM_isPercentMaskOn(){ return MTM_getPref('maskPercent') == 1; }
+    // Masks percentages ("+23.4%") in the spirit of the active mask style. Ratios stay truthful under
+    // 'scale', so they are shown as-is there (and under 'blur', which hides them visually).
+    function MTM_maskPercentValue(s){
+        var style = MTM_maskStyle();
+        return String(s).replace(new RegExp(MTM_RE_PERCENT.source, 'g'), function(m){
+            var sign = (m.match(/^[-+−]/) || [''])[0];
+            var num = m.slice(sign.length).replace(/\s?%$/, '');
+            var pct = m.slice(sign.length + num.length);
+            if(style === 'blur' || style === 'scale') return m;
+            if(style === 'placeholder') return MTM_getPref('maskPlaceholder');
+            if(style === 'glyph') return sign + '•••' + pct;
+            if(style === 'length') return sign + num.replace(/\d/g, '*') + pct;
+            if(style === 'demo'){
+                var frac = (num.split(/[.,]/)[1] || '').length;
+                var fake = ((MTM_hash32(MTM_demoSeed() + ':%' + num) % 1000) / 10).toFixed(frac);
+                return sign + fake.replace('.', num.indexOf(',') !== -1 ? ',' : '.') + pct;
+            }
+            return sign + '**.*' + pct;
+        });
+    }
+    // Active threshold for a parsed token (income vs expense specific, else shared); 0 when unset.
+    function MTM_thresholdFor(tok){
+        var specific = MTM_getPref((tok.sign === '-' || tok.paren) ? 'thresholdExpense' : 'thresholdIncome');
+        var limit = parseFloat(specific !== '' ? specific : MTM_getPref('threshold'));
+        return (isFinite(limit) && limit > 0) ? limit : 0;
+    }
+    function MTM_isBelowThreshold(tok){
+        var limit = MTM_thresholdFor(tok);
+        return limit > 0 && Math.abs(tok.value) < limit;
+    }
+    // Whether a wrapper span should currently show a masked value (its category may be switched off, or
+    // its amount may sit below the threshold).
+    function MTM_shouldMaskSpan(span){
+        if(!MTM_isSurfaceMasked(span)) return false;
+        if(span.dataset.mtmKind === 'percent') return MTM_isPercentMaskOn();
+        var tok = MTM_parseMoneyToken(span.dataset.originalText || span.textContent);
+        return !(tok && MTM_isBelowThreshold(tok));
+    }
+    // Masked text for one wrapper span, dispatched on its kind; spans that should not mask show the original.
+    function MTM_maskedTextFor(span){
+        var orig = span.dataset.originalText || span.textContent;
+        if(!MTM_shouldMaskSpan(span)) return orig;
+        if(span.dataset.mtmKind === 'percent') return MTM_maskPercentValue(orig);
+        return MTM_maskMoneyValue(orig);
     }
 
     // Applies current masking state to all existing .mtm-amount nodes (toggle on/off).
     function MTM_applyState(){
-        const on = MTM_isObfEnabled();
-        document.body.classList.toggle('mt-obfuscate-on', on);
+        // With the graphql-only engine the DOM is left as rendered (values arrive already masked).
+        const on = MTM_isObfEnabled() && MTM_isDomEngineOn();
+        if(document.body) {
+            document.body.classList.toggle('mt-obfuscate-on', on);
+            // Blurred amounts un-blur on hover only in 'hover' reveal mode (see the CSS).
+            document.body.classList.toggle('mtm-reveal-hover', on && MTM_getPref('reveal') === 'hover');
+        }
+        // Highlight ranges are replaced node by node on the next scan (no unmasked frame in between).
+        if(on && MTM_isHighlightRenderer()) { MTM_HIGHLIGHT_GEN += 1; MTM_pruneHighlight(); }
+        else MTM_clearHighlight();
         document.querySelectorAll('.mtm-amount').forEach(function(span){
             const orig = span.dataset.originalText || span.textContent;
             if(!span.dataset.originalText) span.dataset.originalText = orig;
-            var next = on ? MTM_maskMoneyValue(orig) : orig;
+            var next = on ? MTM_maskedTextFor(span) : orig;
             if(span.textContent !== next) { span.textContent = next; }
+            if(span.classList.contains('mtm-revealed')) MTM_removeClasses(span, ['mtm-revealed']);
+            MTM_applyBlur(span, on && MTM_shouldMaskSpan(span));
         });
         MTM_applyAuxMasks();
     }
     // Masks remaining SVG currency labels not covered by wrapper logic.
     function MTM_maskChartDollarLabels(){
-        var on = MTM_isObfEnabled();
+        var enabled = MTM_isObfEnabled();
         var nodes = document.querySelectorAll('svg text, svg tspan');
         for (var i=0; i<nodes.length; i++){
             var n = nodes[i];
             if(!n) continue;
             var txt = n.textContent || '';
             var orig = n.dataset && n.dataset.mtmChartOriginalText;
-            if(on){
+            if(enabled && MTM_isSurfaceMasked(n)){
                 if(orig){
                     n.textContent = MTM_maskMoneyValue(orig);
+                    MTM_applyBlur(n, true);
                     continue;
                 }
                 if(!MTM_RE_CHART_DOLLAR.test(txt)) continue;
                 n.dataset.mtmChartOriginalText = txt;
                 n.textContent = MTM_maskMoneyValue(txt);
+                MTM_applyBlur(n, true);
             } else if(orig){
                 n.textContent = orig;
+                MTM_applyBlur(n, false);
                 delete n.dataset.mtmChartOriginalText;
             }
         }
     }
     // Masks read-only/live-rendered money values exposed through form controls.
+    // Currency inputs are masked visually only: writing field.value would fight React's controlled state and could
+    // submit the mask. The .mtm-input-masked class hides the text until the field is focused for editing.
     function MTM_maskInputDollarValues(){
-        var on = MTM_isObfEnabled();
+        var enabled = MTM_isObfEnabled();
         var fields = document.querySelectorAll('input, textarea');
         for (var i=0; i<fields.length; i++){
             var field = fields[i];
-            if(!field) continue;
-            var current = String(field.value || '');
-            var orig = field.dataset && field.dataset.mtmOriginalDollarValue;
-            if(on){
-                if(orig){
-                    field.value = MTM_maskMoneyValue(orig);
-                    continue;
-                }
-                if(current.indexOf('$') === -1) continue;
-                field.dataset.mtmOriginalDollarValue = current;
-                field.value = MTM_maskMoneyValue(current);
-            } else if(orig){
-                field.value = orig;
-                delete field.dataset.mtmOriginalDollarValue;
+            if(!field || !field.classList || field.closest('#mtm-obf-settings')) continue;
+            var marked = field.classList.contains('mtm-input-masked') || field.classList.contains('mtm-amount-blur');
+            var on = enabled && MTM_isSurfaceMasked(field);
+            if(on && !marked){
+                var current = String(field.value || '');
+                if(!MTM_RE_CURRENCY_MARK.test(current) && !MTM_RE_FIRST_SIMPLE.test(current)) continue;
             }
+            if(!on && !marked) continue;
+            // Once marked, a field stays masked while its value is edited; it is only released when masking turns off.
+            MTM_applyBlur(field, on);
+            if(on && MTM_maskStyle() !== 'blur') field.classList.add('mtm-input-masked');
+            else if(field.classList.contains('mtm-input-masked')) MTM_removeClasses(field, ['mtm-input-masked']);
         }
     }
     function MTM_applyAuxMasks(){
         MTM_maskChartDollarLabels();
         MTM_maskInputDollarValues();
     }
-    // Wraps the first $ amount found within an element into .mtm-amount span; returns true if wrapped.
+    // Devtools entry point: persists a masking pref (see MTM_PREFS) and re-renders existing values.
+    window.MTM_OBF_SET_PREF = function(name, value){
+        if(!MTM_setPref(name, value)) return false;
+        MTM_applyState();
+        // Newly masked surfaces/categories may still hold unwrapped values.
+        MTM_scanAndWrap();
+        return true;
+    };
+    // Wraps the first currency amount found within an element into .mtm-amount span; returns true if wrapped.
     function MTM_wrapFirstAmount(el){
         if(!el) return false;
         if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) return false;
-        // Locate the first '$' using a TreeWalker; supports both simple and spanning cases.
+        // Locate the first currency amount using a TreeWalker; supports both simple and spanning cases.
         var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
             acceptNode: function(node){
                 if(!node || !node.nodeValue) return NodeFilter.FILTER_SKIP;
@@ -344,27 +1179,32 @@
             }
         });
         var startNode = null, endNode = null, startOffset = 0, endOffset = 0;
+        var m2 = null;
         while(walker.nextNode()){
             var txt = walker.currentNode.nodeValue || '';
-            var sIdx = txt.indexOf('$');
-            if(sIdx !== -1){
+            m2 = txt.match(MTM_RE_FIRST_SIMPLE);
+            if(m2){
+                startNode = walker.currentNode;
+                startOffset = m2.index || 0;
+                break;
+            }
+            var dangling = txt.match(MTM_RE_DANGLING_PREFIX);
+            if(dangling){
                 startNode = walker.currentNode;
-                startOffset = sIdx;
+                startOffset = dangling.index || 0;
                 break;
             }
         }
         if(!startNode) return false;
         // Continue from startNode to find end of amount
-        var remain = startNode.nodeValue.slice(startOffset);
-        var m2 = remain.match(MTM_RE_FIRST_SIMPLE);
         if(m2){ endNode = startNode; endOffset = startOffset + m2[0].length; }
         else {
-            // Walk forward to find remaining part when "$" and digits are split across nodes.
+            // Walk forward to find remaining part when the currency marker and digits are split across nodes.
             endNode = startNode; endOffset = startNode.nodeValue.length;
             var foundDigits = false;
             while(walker.nextNode()){
                 var t2 = walker.currentNode.nodeValue || '';
-                var mm = t2.match(/^\s*[\d,.]+/);
+                var mm = t2.match(/^\s*[-+−]?[\d,.]+(?:[KMBTkmbt](?![A-Za-z]))?/);
                 if(mm){
                     foundDigits = true;
                     endNode = walker.currentNode;
@@ -385,18 +1225,13 @@
             if(!startNode.isConnected || !endNode.isConnected || !el.isConnected || !el.contains(startNode) || !el.contains(endNode)) return false;
             range.setStart(startNode, startOffset);
             range.setEnd(endNode, endOffset);
-            var selected = range.extractContents();
-            var selectedText = selected.textContent;
-            const wrap = MTM_buildWrap(selectedText);
-            // Ensure trailing spacing regardless of following node
-            wrap.appendChild(document.createTextNode(' '));
-            // no eye; we will reveal on hover/focus
-            range.insertNode(wrap);
-            // If the next text starts immediately with a letter, insert a space
+            const wrap = MTM_insertWrap(range);
+            // If the next text starts immediately with a letter, insert a space (flagged so MTM_unwrap can drop it)
             var ns = wrap.nextSibling;
             if(ns && ns.nodeType === Node.TEXT_NODE){
                 if(ns.nodeValue && !/^\s/.test(ns.nodeValue)){
-                    ns.nodeValue = ' ' + ns.nodeValue;
+                    ns.insertData(0, ' ');
+                    wrap.dataset.mtmSpaced = '1';
                 }
             }
             try{ if(window.MTM_SEEN) window.MTM_SEEN.add(el);}catch(e){ void e; }
@@ -405,8 +1240,8 @@
             return false;
         }
     }
-    // Wraps the first money-like plain numeric value (e.g. "64,075.00") in an element.
-    function MTM_wrapFirstPlainAmount(el){
+    // Wraps the first text-node match returned by findMatch(txt) in an element; shared by the plain and percent passes.
+    function MTM_wrapFirstTextMatch(el, findMatch, kind){
         if(!el) return false;
         if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) return false;
         var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
@@ -421,8 +1256,7 @@
         });
         while(walker.nextNode()){
             var txt = walker.currentNode.nodeValue || '';
-            if(txt.indexOf('$') !== -1) continue;
-            var m = txt.match(MTM_RE_PLAIN_MONEY);
+            var m = findMatch(txt);
             if(!m) continue;
             try {
                 var r = document.createRange();
@@ -431,10 +1265,7 @@
                 if(!walker.currentNode.isConnected || !el.isConnected || !el.contains(walker.currentNode)) return false;
                 r.setStart(walker.currentNode, s);
                 r.setEnd(walker.currentNode, e);
-                var selected = r.extractContents();
-                var wrap = MTM_buildWrap(selected.textContent || m[0]);
-                wrap.appendChild(document.createTextNode(' '));
-                r.insertNode(wrap);
+                MTM_insertWrap(r, kind);
                 return true;
             } catch(e2){
                 void e2;
@@ -443,6 +1274,17 @@
         }
         return false;
     }
+    // Wraps the first money-like plain numeric value (e.g. "64,075.00") in an element.
+    function MTM_wrapFirstPlainAmount(el){
+        return MTM_wrapFirstTextMatch(el, function(txt){
+            if(MTM_RE_CURRENCY_MARK.test(txt) || MTM_RE_FIRST_SIMPLE.test(txt)) return null;
+            return txt.match(MTM_plainMoneyRe(el));
+        });
+    }
+    // Wraps the first percentage (e.g. "+23.4%") in an element as a 'percent' kind wrapper.
+    function MTM_wrapFirstPercent(el){
+        return MTM_wrapFirstTextMatch(el, function(txt){ return txt.match(MTM_RE_PERCENT); }, 'percent');
+    }
     // Wraps multiple dollar amounts in the same element (eg "$x of $y").
     function MTM_wrapAllAmounts(el, maxWraps){
         var wraps = 0;
@@ -456,46 +1298,315 @@
             if(!MTM_wrapFirstPlainAmount(el)) break;
             wraps += 1;
         }
+        // Percentages are their own opt-in category (pref maskPercent).
+        if(MTM_isPercentMaskOn()){
+            for (var k=0; k<cap; k++){
+                if(!MTM_wrapFirstPercent(el)) break;
+                wraps += 1;
+            }
+        }
         return wraps;
     }
-    // Builds and returns the wrapper span structure for a masked amount.
-    function MTM_buildWrap(amountText){
+    // Highlight renderer: registers Ranges over amounts in a CSS highlight instead of rewriting text, so React's
+    // text nodes are never split or replaced. Ranges are tracked per text node and recomputed when its text changes.
+    const MTM_HIGHLIGHT_NAME = 'mtm-obf';
+    var MTM_HIGHLIGHT = null;
+    var MTM_HIGHLIGHT_NODES = new WeakMap();
+    // Bumped by applyState so cached ranges are re-evaluated against changed prefs (style, thresholds, surfaces).
+    var MTM_HIGHLIGHT_GEN = 0;
+    function MTM_isHighlightSupported(){
+        return !!(window.CSS && window.CSS.highlights && typeof window.Highlight === 'function');
+    }
+    function MTM_isHighlightRenderer(){ return MTM_getPref('renderer') === 'highlight' && MTM_isHighlightSupported(); }
+    function MTM_highlight(){
+        if(!MTM_HIGHLIGHT) MTM_HIGHLIGHT = new window.Highlight();
+        if(window.CSS.highlights.get(MTM_HIGHLIGHT_NAME) !== MTM_HIGHLIGHT) window.CSS.highlights.set(MTM_HIGHLIGHT_NAME, MTM_HIGHLIGHT);
+        return MTM_HIGHLIGHT;
+    }
+    function MTM_rangeOver(startNode, start, endNode, end){
+        var r = document.createRange();
+        r.setStart(startNode, start);
+        r.setEnd(endNode, end);
+        return r;
+    }
+    // Highlights every maskable amount under el (currency, plain, split-node prefixes, opt-in percentages);
+    // returns the number of ranges added.
+    function MTM_highlightAmounts(el){
+        if(!el || !el.isConnected) return 0;
+        if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) return 0;
+        var hl = MTM_highlight();
+        var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+            acceptNode: function(node){
+                if(!node.nodeValue || !node.parentElement) return NodeFilter.FILTER_SKIP;
+                if(MTM_SKIP_CLOSEST && node.parentElement.closest(MTM_SKIP_CLOSEST)) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        var nodes = [];
+        while(walker.nextNode()) nodes.push(walker.currentNode);
+        var rec = MTM_plainMoneyRecognizer();
+        var moneyRe = new RegExp(rec.anyGlobal.source, 'g');
+        var groupedRe = new RegExp(rec.anyGroupedGlobal.source, 'g');
+        var pctRe = MTM_isPercentMaskOn() ? new RegExp(MTM_RE_PERCENT.source, 'g') : null;
+        var added = 0;
+        // Digits already covered by a split-node range (node -> end offset), so the plain pass skips them.
+        var consumed = new Map();
+        for (var i=0; i<nodes.length; i++){
+            var node = nodes[i];
+            var txt = node.nodeValue;
+            var prev = MTM_HIGHLIGHT_NODES.get(node);
+            if(prev && prev.text === txt && prev.gen === MTM_HIGHLIGHT_GEN) continue;
+            if(prev) prev.ranges.forEach(function(r){ hl.delete(r); });
+            var ranges = [];
+            var skipTo = consumed.get(node) || 0;
+            var m;
+            var re = MTM_hasMoneyContext(node.parentElement) ? moneyRe : groupedRe;
+            re.lastIndex = skipTo;
+            while((m = re.exec(txt))){
+                var tok = MTM_parseMoneyToken(m[0]);
+                if(tok && !MTM_isBelowThreshold(tok)) ranges.push(MTM_rangeOver(node, m.index, node, m.index + m[0].length));
+            }
+            if(pctRe){
+                pctRe.lastIndex = skipTo;
+                while((m = pctRe.exec(txt))) ranges.push(MTM_rangeOver(node, m.index, node, m.index + m[0].length));
+            }
+            // "$" at the end of this node with its digits in the next one: one range spanning both nodes.
+            var dangling = txt.match(MTM_RE_DANGLING_PREFIX);
+            for (var j=i+1; dangling && j<nodes.length; j++){
+                var next = nodes[j].nodeValue;
+                if(/^\s*$/.test(next)) continue;
+                var digits = next.match(/^\s*[-+−]?[\d,.]+(?:[KMBTkmbt](?![A-Za-z]))?/);
+                if(digits && /\d/.test(digits[0])){
+                    consumed.set(nodes[j], digits[0].length);
+                    var split = MTM_parseMoneyToken(dangling[0] + digits[0]);
+                    if(split && !MTM_isBelowThreshold(split)) ranges.push(MTM_rangeOver(node, dangling.index, nodes[j], digits[0].length));
+                }
+                break;
+            }
+            ranges.forEach(function(r){ hl.add(r); });
+            added += ranges.length;
+            MTM_HIGHLIGHT_NODES.set(node, { text: txt, gen: MTM_HIGHLIGHT_GEN, ranges: ranges });
+        }
+        return added;
+    }
+    // Drops ranges whose text left the page (React unmounts collapse them onto the parent) or whose surface is now clear.
+    function MTM_pruneHighlight(){
+        if(!MTM_HIGHLIGHT) return;
+        MTM_HIGHLIGHT.forEach(function(r){
+            if(r.collapsed || !r.startContainer.isConnected || !r.endContainer.isConnected || !MTM_isSurfaceMasked(r.startContainer.parentElement)) MTM_HIGHLIGHT.delete(r);
+        });
+    }
+    // Removes every highlight range (masking OFF or renderer switched back to 'wrap').
+    function MTM_clearHighlight(){
+        if(MTM_HIGHLIGHT) MTM_HIGHLIGHT.clear();
+        MTM_HIGHLIGHT_NODES = new WeakMap();
+        try { if(window.CSS && window.CSS.highlights) window.CSS.highlights.delete(MTM_HIGHLIGHT_NAME); } catch(e) { void e; }
+    }
+    // What each wrapper replaced (wrapper -> { fragment, head, tail }), so MTM_unwrap can restore the exact nodes.
+    var MTM_WRAP_RESTORE = new WeakMap();
+    // Replaces a range with a wrapper span (plus its trailing spacer) and remembers what was extracted.
+    function MTM_insertWrap(range, kind){
+        var selected = range.extractContents();
+        var wrap = MTM_buildWrap(selected.textContent, kind);
+        wrap.appendChild(document.createTextNode(' '));
+        // Inserting inside a text node splits it; the head/tail halves are joined again on unwrap.
+        var head = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer : null;
+        range.insertNode(wrap);
+        MTM_WRAP_RESTORE.set(wrap, { fragment: selected, head: head, tail: head ? wrap.nextSibling : null });
+        return wrap;
+    }
+    // Merges an extracted node back into its original counterpart. extractContents leaves partially selected
+    // text/elements in place and returns truncated clones, so their contents go back at the matching edge.
+    function MTM_mergeEdge(target, node, atEnd){
+        if(!target || !node || target.nodeType !== node.nodeType) return false;
+        if(node.nodeType === Node.TEXT_NODE){
+            if(atEnd) target.appendData(node.nodeValue); else target.insertData(0, node.nodeValue);
+            return true;
+        }
+        if(node.nodeType !== Node.ELEMENT_NODE || node.tagName !== target.tagName) return false;
+        var kids = Array.prototype.slice.call(node.childNodes);
+        if(atEnd){
+            if(kids.length && MTM_mergeEdge(target.lastChild, kids[0], true)) kids.shift();
+            kids.forEach(function(k){ target.appendChild(k); });
+        } else {
+            if(kids.length && MTM_mergeEdge(target.firstChild, kids[kids.length - 1], false)) kids.pop();
+            var ref = target.firstChild;
+            kids.forEach(function(k){ target.insertBefore(k, ref); });
+        }
+        return true;
+    }
+    // Puts one wrapped amount back as Monarch rendered it and drops the space prepended to the following text.
+    function MTM_unwrap(wrap){
+        var parent = wrap.parentNode;
+        if(!parent) return;
+        var next = wrap.nextSibling;
+        if(wrap.dataset.mtmSpaced && next && next.nodeType === Node.TEXT_NODE && next.nodeValue.charAt(0) === ' ') next.deleteData(0, 1);
+        var info = MTM_WRAP_RESTORE.get(wrap);
+        MTM_WRAP_RESTORE.delete(wrap);
+        if(!info){
+            var amt = wrap.querySelector('.mtm-amount');
+            parent.replaceChild(document.createTextNode(amt && amt.dataset.originalText || ''), wrap);
+            return;
+        }
+        var nodes = Array.prototype.slice.call(info.fragment.childNodes);
+        var head = info.head && info.head.nextSibling === wrap ? info.head : null;
+        var tail = info.tail && info.tail.previousSibling === wrap ? info.tail : null;
+        if(nodes.length && MTM_mergeEdge(head || wrap.previousSibling, nodes[0], true)) nodes.shift();
+        if(nodes.length && MTM_mergeEdge(tail || wrap.nextSibling, nodes[nodes.length - 1], false)) nodes.pop();
+        nodes.forEach(function(n){ parent.insertBefore(n, wrap); });
+        parent.removeChild(wrap);
+        if(head && tail && head.nextSibling === tail){
+            head.appendData(tail.nodeValue);
+            parent.removeChild(tail);
+        }
+    }
+    // Full teardown: disconnects every observer, unwraps all amounts, clears highlights and restores chart labels,
+    // classes and data-mtm* attributes so Monarch's DOM is back to what it rendered.
+    function MTM_unwrapAll(){
+        try { (window.MTM_OBF_OBSERVERS || []).forEach(function(o){ o.disconnect(); }); } catch(e) { void e; }
+        window.MTM_OBF_OBSERVERS = [];
+        try { if(window.MTM_IO) window.MTM_IO.disconnect(); } catch(e) { void e; }
+        try { window.MTM_OBF_PENDING.clear(); } catch(e) { void e; }
+        window.MTM_OBF_SCHEDULED = false;
+        MTM_disarmPrehide();
+        MTM_sweepPending(true);
+        window.MTM_SEEN = new WeakSet();
+        var wraps = document.querySelectorAll('.mtm-amount-wrap');
+        for (var i=wraps.length - 1; i>=0; i--) MTM_unwrap(wraps[i]);
+        MTM_clearHighlight();
+        document.querySelectorAll('[data-mtm-chart-original-text]').forEach(function(n){
+            n.textContent = n.dataset.mtmChartOriginalText;
+            n.removeAttribute('data-mtm-chart-original-text');
+        });
+        document.querySelectorAll('.mtm-amount-blur, .mtm-input-masked').forEach(function(el){
+            MTM_removeClasses(el, ['mtm-amount-blur', 'mtm-input-masked']);
+        });
+        if(document.body) MTM_removeClasses(document.body, ['mt-obfuscate-on', 'mtm-reveal-hover', 'mtm-reveal-paused']);
+    }
+    // Applies the on/off pref everywhere after it changed (sidebar toggle, settings checkbox): masks and observes
+    // when ON, full teardown when OFF.
+    function MTM_syncToggle(){
+        MTM_applyState();
+        if(MTM_isObfEnabled()){
+            MTM_scanAndWrap();
+            window.MTM_restartObserver();
+            MTM_armPrehide();
+        } else {
+            MTM_unwrapAll();
+        }
+    }
+    // Flips masking on/off, from the sidebar item or the toggle hotkey.
+    function MTM_toggleMasking(){
+        flipCookie('MT_HideSensitiveInfo');
+        MTM_syncToggle();
+        MTM_setNavIcon(MTM_isObfEnabled());
+    }
+    // Builds and returns the wrapper span structure for a masked amount (kind: undefined for money, 'percent').
+    function MTM_buildWrap(amountText, kind){
         const wrap = document.createElement('span');
         wrap.className = 'mtm-amount-wrap';
         const amt = document.createElement('span');
         amt.className = 'mtm-amount';
         amt.dataset.originalText = amountText;
-        amt.textContent = MTM_isObfEnabled() ? MTM_maskMoneyValue(amountText) : amountText;
+        if(kind) amt.dataset.mtmKind = kind;
+        amt.textContent = MTM_isObfEnabled() ? MTM_maskedTextFor(amt) : amountText;
+        MTM_applyBlur(amt, MTM_isObfEnabled() && MTM_shouldMaskSpan(amt));
         wrap.appendChild(amt);
         return wrap;
     }
-    // Finds leaf-ish elements with '$' in text and no nested '$' descendants.
+    const MTM_LEAF_TAGS = 'span, div, p, td, th, li, a, h1, h2, h3, h4, h5';
+    // Finds leaf-ish elements with currency text and no nested currency descendants.
+    // Walks text nodes rather than every element: a leaf is the nearest ancestor of some text node whose
+    // combined text is maskable, so "$" and digits split across sibling nodes still resolve to their parent.
+    // Each element's text is tested at most once per call (memo), and subtrees without text cost nothing.
     function MTM_collectDollarLeafCandidates(scope, max){
         var out = [];
         var cap = max || 300;
-        var pool = scope.querySelectorAll('span, div, p, td, th, li, a, h1, h2, h3, h4, h5');
-        for (var i=0; i<pool.length; i++){
-            var el = pool[i];
-            if(!el || !MTM_shouldProcess(el)) continue;
-            if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) continue;
-            var txt = el.textContent || '';
-            if(!MTM_hasMaskableText(txt)) continue;
+        var maskable = new Map();
+        var visited = new Set();
+        function isMaskable(el){
+            if(!maskable.has(el)) maskable.set(el, MTM_hasMaskableText(el.textContent || '', el));
+            return maskable.get(el);
+        }
+        var walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT, null);
+        while(walker.nextNode() && out.length < cap){
+            var n = walker.currentNode;
+            if(!n.nodeValue || !/\S/.test(n.nodeValue)) continue;
+            var el = n.parentElement;
+            while(el && el !== scope && !visited.has(el) && !isMaskable(el)) el = el.parentElement;
+            if(!el || el === scope || visited.has(el)) continue;
+            visited.add(el);
+            if(!el.matches(MTM_LEAF_TAGS) || !MTM_shouldProcess(el)) continue;
+            if(MTM_SKIP_CLOSEST && el.closest(MTM_SKIP_CLOSEST)) continue;
             // Avoid wrapping container nodes when a deeper node already carries the dollar value.
             var childHasDollar = false;
-            try {
-                if(el.children && el.children.length){
-                    for (var ci=0; ci<el.children.length; ci++){
-                        var ct = el.children[ci] && el.children[ci].textContent || '';
-                        if(MTM_hasMaskableText(ct)){ childHasDollar = true; break; }
-                    }
-                }
-            } catch(e) { void e; }
+            for (var ci=0; ci<el.children.length; ci++){
+                if(isMaskable(el.children[ci])) { childHasDollar = true; break; }
+            }
             if(childHasDollar) continue;
             out.push(el);
-            if(out.length >= cap) break;
         }
         return out;
     }
+    // Route rules (MTM_OBF_CFG.routeRules) matching the current path.
+    function MTM_activeRouteRules(){
+        var path = window.location.pathname || '';
+        var active = [];
+        MTM_OBF_CFG.routeRules.forEach(function(rule){
+            if(!rule.route.test(path)) return;
+            // Joined on first use, so rules can be added to the table at runtime.
+            if(rule.selector === undefined) rule.selector = (rule.selectors || []).join(', ');
+            active.push(rule);
+        });
+        return active;
+    }
+    // True for an unprocessed, unskipped host whose text (or the given text) is maskable.
+    function MTM_isHostCandidate(el, text){
+        if(!MTM_shouldProcess(el)) return false;
+        if(MTM_SKIP_CLOSEST && el.closest(MTM_SKIP_CLOSEST)) return false;
+        return MTM_hasMaskableText(text === undefined ? (el.textContent || '') : text, el);
+    }
+    // Hosts the active route rules find under root: a scan scope (phase 'scan') or an added node ('mutation',
+    // where root itself may be a host).
+    function MTM_ruleCandidates(root, phase){
+        var out = [];
+        var isMutation = phase === 'mutation';
+        MTM_activeRouteRules().forEach(function(rule){
+            if(rule.self && isMutation && MTM_isHostCandidate(root)) out.push(root);
+            if(rule.selector){
+                var hosts = Array.from(root.querySelectorAll(rule.selector));
+                if(isMutation && root.matches(rule.selector)) hosts.unshift(root);
+                for (var i=0, taken=0; i<hosts.length && taken<(rule.limit || 300); i++){
+                    if(hosts[i].querySelector('.fs-exclude, .fs-mask') || !MTM_isHostCandidate(hosts[i])) continue;
+                    out.push(hosts[i]);
+                    taken += 1;
+                }
+            }
+            if(rule.leaves) out.push.apply(out, MTM_collectDollarLeafCandidates(root, rule.leaves[phase]));
+            if(rule.compact){
+                var pool = root.querySelectorAll('div, span, p, td, th');
+                for (var k=0, found=0; k<pool.length && found<rule.compact[phase]; k++){
+                    var t = (pool[k].textContent || '').replace(/\s+/g, '');
+                    if(t.length <= 1 || t.length > rule.compact.maxLength || !MTM_isHostCandidate(pool[k], t)) continue;
+                    out.push(pool[k]);
+                    found += 1;
+                }
+            }
+        });
+        return out;
+    }
+    // Host for an in-place text update outside fs-exclude/fs-mask, per the active rules' textHost; null if none.
+    function MTM_ruleTextHost(el){
+        var rules = MTM_activeRouteRules();
+        for (var i=0; i<rules.length; i++){
+            if(rules[i].textHost === 'parent') return el;
+            if(rules[i].textHost === 'selectors' && rules[i].selector){
+                var host = el.closest(rules[i].selector);
+                if(host) return host;
+            }
+        }
+        return null;
+    }
     // Scans allowed containers (or a given root) and wraps simple currency occurrences once.
     function MTM_scanAndWrap(root){
         if (!MTM_isActive()) return;
@@ -510,44 +1621,17 @@
                 if(!MTM_shouldProcess(el)) continue;
                 if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) continue;
                 var txt = el.textContent || '';
-                if(!MTM_hasMaskableText(txt)) continue;
+                if(!MTM_hasMaskableText(txt, el)) continue;
                 try { window.MTM_OBF_STATS.watched += 1; } catch(e) { void e; }
                 MTM_watch(el);
             }
-            // Fallback for account details pages where amounts may not be marked fs-exclude
-            var path = window.location.pathname || '';
-            if(/^\/accounts(?:\/|$)/.test(path)){
-                var extra = Array.from(scope.querySelectorAll('[class*="Card__CardRoot-"] .Text-qcxgyd-0, [class*="Card__CardRoot-"] .Summary__SummaryValue, [class*="AccountSummaryCardGroup__"] .fs-exclude, [class*="AccountGroupCard__Content-"] .fs-exclude, [class*="AccountBalanceIndicator__Root-"] .fs-exclude'))
-                    .filter(function(el){ return /\$/.test(el.textContent || '') && !el.querySelector('.mtm-amount') && !el.closest('.mtm-amount-wrap'); });
-                for (var i=0;i<extra.length && i<300; i++) { MTM_watch(extra[i]); }
-            }
-            if(/^\/dashboard(?:\/|$)/.test(path)){
-                var dashCandidates = Array.from(scope.querySelectorAll(MTM_DASH_SEL));
-                var dash = dashCandidates.filter(function(el){
-                    if(el.querySelector('.fs-exclude')) return false; // let fs-exclude path handle it
-                    if(el.querySelector('.mtm-amount')) return false;  // already processed inside
-                    return MTM_hasMaskableText(el.textContent || '') && !el.closest('.mtm-amount-wrap');
-                });
-                for (var di=0; di<dash.length && di<300; di++) { MTM_watch(dash[di]); }
-                // Fallback pass for widgets with plain numeric values (goals/top-movers) outside static selectors.
-                var dashLeaves = MTM_collectDollarLeafCandidates(scope, 450);
-                for (var dl=0; dl<dashLeaves.length; dl++) { MTM_watch(dashLeaves[dl]); }
-            }
-            if(/^\/(?:goals|objectives|plan)(?:\/|$)/.test(path)){
-                var moneyLeaves = MTM_collectDollarLeafCandidates(scope, 450);
-                for (var gi=0; gi<moneyLeaves.length; gi++) { MTM_watch(moneyLeaves[gi]); }
-                if(/^\/plan(?:\/|$)/.test(path)){
-                    // Plan table often splits "$" and number into sibling nodes; include compact containers directly.
-                    var planExtra = Array.from(scope.querySelectorAll('div, span, p, td, th')).filter(function(el){
-                        if(!MTM_shouldProcess(el)) return false;
-                        if(MTM_SKIP_CLOSEST && el.closest && el.closest(MTM_SKIP_CLOSEST)) return false;
-                        var t = (el.textContent || '').replace(/\s+/g, '');
-                        if(!MTM_hasMaskableText(t)) return false;
-                        return t.length > 1 && t.length <= 40;
-                    });
-                    for (var pi=0; pi<planExtra.length && pi<350; pi++) { MTM_watch(planExtra[pi]); }
-                }
+            // Portals (drawers, dialogs, popovers, toasts) rarely carry fs-exclude; fall back to dollar leaves on any route.
+            if(scope !== document && MTM_isInPortal(scope)){
+                var portalLeaves = MTM_collectDollarLeafCandidates(scope, 300);
+                for (var pl=0; pl<portalLeaves.length; pl++) { MTM_watch(portalLeaves[pl]); }
             }
+            // Route-specific hosts without fs-exclude (account cards, dashboard widgets, goals, plan table).
+            MTM_ruleCandidates(scope, 'scan').forEach(MTM_watch);
         });
         MTM_applyAuxMasks();
     }
@@ -556,6 +1640,96 @@
         if (window.MTM_OBF_OBSERVER_API_WIRED) return;
         window.MTM_OBF_OBSERVER_API_WIRED = true;
 
+        // Queues a host from a mutation; visibility-gated when IntersectionObserver is available.
+        function track(el){
+            if(window.MTM_IO) MTM_watch(el); else MTM_enqueue(el);
+        }
+        // Mutation handler shared by page container scopes and portal roots.
+        function onScopeMutations(mutations){
+            MTM_LATENCY_NOW = performance.now();
+            for (var i=0; i<mutations.length; i++){
+                var m = mutations[i];
+                if(m.type === 'childList'){
+                    for (var j=0; j<m.addedNodes.length; j++){
+                        var node = m.addedNodes[j];
+                        if(!(node instanceof Element)) continue;
+                        if(node.matches && node.matches('.fs-exclude, .fs-mask')){
+                            if(MTM_shouldProcess(node)){
+                                if(MTM_SKIP_CLOSEST && node.closest && node.closest(MTM_SKIP_CLOSEST)) { continue; }
+                                var t0 = node.textContent || '';
+                                if(MTM_hasMaskableText(t0, node)) { if(window.MTM_IO) { MTM_watch(node); } else { MTM_enqueue(node); } }
+                            }
+                        }
+                        if(node.querySelectorAll){
+                            var list = node.querySelectorAll('.fs-exclude, .fs-mask');
+                            for(var k=0; k<list.length; k++) {
+                                if(!MTM_shouldProcess(list[k])) continue;
+                                if(MTM_SKIP_CLOSEST && list[k].closest && list[k].closest(MTM_SKIP_CLOSEST)) continue;
+                                var t1 = list[k].textContent || '';
+                                if(!MTM_hasMaskableText(t1, list[k])) continue;
+                                if(window.MTM_IO) { MTM_watch(list[k]); } else { MTM_enqueue(list[k]); }
+                            }
+                        }
+                        // Content rendered into a portal (drawer body, dialog step, toast text) lands here on any route.
+                        if(MTM_isInPortal(node)){
+                            var pLeaves = MTM_collectDollarLeafCandidates(node, 150);
+                            if(!pLeaves.length && MTM_shouldProcess(node) && !(MTM_SKIP_CLOSEST && node.closest(MTM_SKIP_CLOSEST)) && MTM_hasMaskableText(node.textContent || '', node)) pLeaves = [node];
+                            for(var pli=0; pli<pLeaves.length; pli++){ if(MTM_shouldProcess(pLeaves[pli])) { if(window.MTM_IO) { MTM_watch(pLeaves[pli]); } else { MTM_enqueue(pLeaves[pli]); } } }
+                        }
+                        // Route-specific hosts without fs-exclude (see MTM_OBF_CFG.routeRules).
+                        MTM_ruleCandidates(node, 'mutation').forEach(track);
+                    }
+                } else if(m.type === 'characterData'){
+                    var p = m.target && m.target.parentElement;
+                    if(p){
+                        // Ignore our own text swaps (hover reveal / applyState) to avoid observer churn.
+                        if(p.closest && p.closest('.mtm-amount-wrap')) { continue; }
+                        // Early bail when updated text has no maskable token.
+                        if(m.target && typeof m.target.nodeValue === 'string' && !MTM_hasMaskableText(m.target.nodeValue, p)) { continue; }
+                        var host = p.matches('.fs-exclude, .fs-mask') ? p : p.closest('.fs-exclude, .fs-mask');
+                        if(host && MTM_shouldProcess(host)) { if(window.MTM_IO) { MTM_watch(host); } else { MTM_enqueue(host); } }
+                        // Route-specific text updates (dashboard widget values, goals/plan cells)
+                        if(!host){
+                            var ruleHost = MTM_ruleTextHost(p);
+                            if(ruleHost && MTM_shouldProcess(ruleHost)) track(ruleHost);
+                        }
+                    }
+                }
+            }
+            MTM_LATENCY_NOW = 0;
+            // Only schedule processing if there is queued work; IntersectionObserver will schedule on intersect.
+            if(window.MTM_OBF_PENDING && window.MTM_OBF_PENDING.size > 0) MTM_scheduleProcessQueue();
+        }
+        function observeScope(scope){
+            var observer = new MutationObserver(onScopeMutations);
+            observer.observe(scope, { childList: true, subtree: true, characterData: true, characterDataOldValue: false });
+            window.MTM_OBF_OBSERVERS.push(observer);
+        }
+        // Portal roots (drawers, dialogs, popovers, toasts) mount and unmount as direct <body> children, outside
+        // the page containers. Watch <body> shallowly and give each new root its own scan + scoped observer.
+        function watchPortals(observedScopes){
+            if(!document.body) return;
+            var observer = new MutationObserver(function(mutations){
+                MTM_LATENCY_NOW = performance.now();
+                for (var i=0; i<mutations.length; i++){
+                    var added = mutations[i].addedNodes;
+                    for (var j=0; j<added.length; j++){
+                        var roots = MTM_findPortalRoots(added[j]);
+                        for (var k=0; k<roots.length; k++){
+                            if(observedScopes.indexOf(roots[k]) !== -1) continue;
+                            observedScopes.push(roots[k]);
+                            observeScope(roots[k]);
+                            MTM_scanAndWrap(roots[k]);
+                        }
+                    }
+                }
+                MTM_LATENCY_NOW = 0;
+                if(window.MTM_OBF_PENDING && window.MTM_OBF_PENDING.size > 0) MTM_scheduleProcessQueue();
+            });
+            observer.observe(document.body, { childList: true });
+            window.MTM_OBF_OBSERVERS.push(observer);
+        }
+
         // Starts scoped observers if masking is enabled and route is allowed.
         window.MTM_startObserver = function(){
             window.MTM_stopObserver();
@@ -564,93 +1738,8 @@
 
             var scopes = MTM_findScopes();
             window.MTM_OBF_OBSERVERS = [];
-
-            scopes.forEach(function(scope){
-                var observer = new MutationObserver(function(mutations){
-                    var path = window.location.pathname;
-                    for (var i=0; i<mutations.length; i++){
-                        var m = mutations[i];
-                        if(m.type === 'childList'){
-                            for (var j=0; j<m.addedNodes.length; j++){
-                                var node = m.addedNodes[j];
-                                if(!(node instanceof Element)) continue;
-                                if(node.matches && node.matches('.fs-exclude, .fs-mask')){
-                                    if(MTM_shouldProcess(node)){
-                                        if(MTM_SKIP_CLOSEST && node.closest && node.closest(MTM_SKIP_CLOSEST)) { continue; }
-                                        var t0 = node.textContent || '';
-                                        if(MTM_hasMaskableText(t0)) { if(window.MTM_IO) { MTM_watch(node); } else { MTM_enqueue(node); } }
-                                    }
-                                }
-                                if(node.querySelectorAll){
-                                    var list = node.querySelectorAll('.fs-exclude, .fs-mask');
-                                    for(var k=0; k<list.length; k++) {
-                                        if(!MTM_shouldProcess(list[k])) continue;
-                                        if(MTM_SKIP_CLOSEST && list[k].closest && list[k].closest(MTM_SKIP_CLOSEST)) continue;
-                                        var t1 = list[k].textContent || '';
-                                        if(!MTM_hasMaskableText(t1)) continue;
-                                        if(window.MTM_IO) { MTM_watch(list[k]); } else { MTM_enqueue(list[k]); }
-                                    }
-                                }
-                                // Also handle dashboard non-fs-exclude currency nodes that load late
-                                if(/^\/dashboard(?:\/|$)/.test(path)){
-                                    if(node.matches && node.matches(MTM_DASH_SEL)) { if(MTM_shouldProcess(node)) { if(window.MTM_IO) { MTM_watch(node); } else { MTM_enqueue(node); } } }
-                                    if(node.querySelectorAll){
-                                        var dqs = node.querySelectorAll(MTM_DASH_SEL);
-                                        for(var dk=0; dk<dqs.length; dk++){ if(MTM_shouldProcess(dqs[dk])) { if(window.MTM_IO) { MTM_watch(dqs[dk]); } else { MTM_enqueue(dqs[dk]); } } }
-                                        var dLeaves = MTM_collectDollarLeafCandidates(node, 150);
-                                        for(var dli=0; dli<dLeaves.length; dli++){ if(MTM_shouldProcess(dLeaves[dli])) { if(window.MTM_IO) { MTM_watch(dLeaves[dli]); } else { MTM_enqueue(dLeaves[dli]); } } }
-                                    }
-                                }
-                                if(/^\/(?:goals|objectives|plan)(?:\/|$)/.test(path)){
-                                    if(node.matches && MTM_shouldProcess(node)){
-                                        var nt = node.textContent || '';
-                                        if(MTM_hasMaskableText(nt)) { if(window.MTM_IO) { MTM_watch(node); } else { MTM_enqueue(node); } }
-                                    }
-                                    if(node.querySelectorAll){
-                                        var leaves = MTM_collectDollarLeafCandidates(node, 150);
-                                        for(var li=0; li<leaves.length; li++){ if(MTM_shouldProcess(leaves[li])) { if(window.MTM_IO) { MTM_watch(leaves[li]); } else { MTM_enqueue(leaves[li]); } } }
-                                        if(/^\/plan(?:\/|$)/.test(path)){
-                                            var pextra = node.querySelectorAll('div, span, p, td, th');
-                                            for(var px=0; px<pextra.length && px<180; px++){
-                                                var pe = pextra[px];
-                                                if(!MTM_shouldProcess(pe)) continue;
-                                                var pt = (pe.textContent || '').replace(/\s+/g, '');
-                                                if(!MTM_hasMaskableText(pt)) continue;
-                                                if(pt.length <= 1 || pt.length > 40) continue;
-                                                if(window.MTM_IO) { MTM_watch(pe); } else { MTM_enqueue(pe); }
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        } else if(m.type === 'characterData'){
-                            var p = m.target && m.target.parentElement;
-                            if(p){
-                                // Ignore our own text swaps (hover reveal / applyState) to avoid observer churn.
-                                if(p.closest && p.closest('.mtm-amount-wrap')) { continue; }
-                                // Early bail when updated text has no maskable token.
-                                if(m.target && typeof m.target.nodeValue === 'string' && !MTM_hasMaskableText(m.target.nodeValue)) { continue; }
-                                var host = p.matches('.fs-exclude, .fs-mask') ? p : p.closest('.fs-exclude, .fs-mask');
-                                if(host && MTM_shouldProcess(host)) { if(window.MTM_IO) { MTM_watch(host); } else { MTM_enqueue(host); } }
-                                // Dashboard text nodes updating in place
-                                if(!host && /^\/dashboard(?:\/|$)/.test(path)){
-                                    var dashHost = p.matches(MTM_DASH_SEL) ? p : p.closest(MTM_DASH_SEL);
-                                    if(dashHost && MTM_shouldProcess(dashHost)) { if(window.MTM_IO) { MTM_watch(dashHost); } else { MTM_enqueue(dashHost); } }
-                                }
-                                if(!host && /^\/(?:goals|objectives|plan)(?:\/|$)/.test(path)){
-                                    var moneyHost = p;
-                                    if(moneyHost && MTM_shouldProcess(moneyHost)) { if(window.MTM_IO) { MTM_watch(moneyHost); } else { MTM_enqueue(moneyHost); } }
-                                }
-                            }
-                        }
-                    }
-                    // Only schedule processing if there is queued work; IntersectionObserver will schedule on intersect.
-                    if(window.MTM_OBF_PENDING && window.MTM_OBF_PENDING.size > 0) MTM_scheduleProcessQueue();
-                });
-
-                observer.observe(scope, { childList: true, subtree: true, characterData: true, characterDataOldValue: false });
-                window.MTM_OBF_OBSERVERS.push(observer);
-            });
+            scopes.forEach(observeScope);
+            watchPortals(scopes);
         };
         // Disconnects all observers and clears state.
         window.MTM_stopObserver = function(){
@@ -672,40 +1761,360 @@
             window.MTM_startObserver();
         };
     })();
-    // Hover-to-reveal: shows the original amount on hover, remasks on mouseleave; respects setting.
-    (function MTM_wireHoverReveal(){
+    // Splits CSV text into rows of { value, quoted } cells (RFC 4180 quoting; keeps empty trailing cells).
+    function MTM_parseCsv(text){
+        var rows = [], row = [], cell = '', quoted = false, inQuotes = false;
+        for (var i=0; i<text.length; i++){
+            var ch = text.charAt(i);
+            if(inQuotes){
+                if(ch === '"' && text.charAt(i + 1) === '"') { cell += '"'; i++; }
+                else if(ch === '"') inQuotes = false;
+                else cell += ch;
+            } else if(ch === '"') { inQuotes = true; quoted = true; }
+            else if(ch === ',') { row.push({ value: cell, quoted: quoted }); cell = ''; quoted = false; }
+            else if(ch === '\n' || ch === '\r'){
+                if(ch === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push({ value: cell, quoted: quoted }); rows.push(row);
+                row = []; cell = ''; quoted = false;
+            } else cell += ch;
+        }
+        if(cell !== '' || quoted || row.length) { row.push({ value: cell, quoted: quoted }); rows.push(row); }
+        return rows;
+    }
+    function MTM_csvCell(c){
+        var v = c.value;
+        return (c.quoted || /[",\r\n]/.test(v)) ? '"' + v.replace(/"/g, '""') + '"' : v;
+    }
+    // Masks one amount cell with the active strategy. 'blur' has nothing to hide behind in a file, so it
+    // falls back to the fixed shape.
+    function MTM_maskCsvAmount(cell){
+        var tok = MTM_parseMoneyToken(cell);
+        if(!tok || MTM_isBelowThreshold(tok)) return cell;
+        if(MTM_maskStyle() === 'blur' && MTM_precision() === 'exact'){
+            var masked = tok.sign + tok.prefix + MTM_MASK_STYLES.fixed(tok) + tok.suffix;
+            return tok.paren ? '(' + masked + ')' : masked;
+        }
+        return MTM_renderMaskedToken(tok);
+    }
+    // Rewrites the amount columns (see MTM_OBF_CFG.csvAmountHeaders) of a CSV export.
+    // Returns { text, count, columns } so the caller can tell the user what changed.
+    function MTM_maskCsvText(text){
+        var eol = /\r\n/.test(text) ? '\r\n' : '\n';
+        var rows = MTM_parseCsv(String(text));
+        var header = rows[0] || [];
+        var cols = [];
+        for (var h=0; h<header.length; h++){ if(MTM_OBF_CFG.csvAmountHeaders.test(header[h].value)) cols.push(h); }
+        var count = 0;
+        for (var r=1; r<rows.length; r++){
+            for (var c=0; c<cols.length; c++){
+                var cell = rows[r][cols[c]];
+                if(!cell || !cell.value) continue;
+                var next = MTM_maskCsvAmount(cell.value);
+                if(next !== cell.value) { cell.value = next; count++; }
+            }
+        }
+        var out = rows.map(function(row){ return row.map(MTM_csvCell).join(','); }).join(eol);
+        if(/\r?\n$/.test(text)) out += eol;
+        return { text: out, count: count, columns: cols.map(function(i){ return header[i].value; }) };
+    }
+    // CSV download interceptor: Monarch builds exports as a Blob, hands it to URL.createObjectURL and clicks a
+    // temporary <a download>. Remember CSV blobs by object URL, and when such a link is clicked while masking
+    // is ON (and the csvDownload pref is set), save a masked copy instead after a confirm prompt.
+    (function MTM_wireCsvDownloads(){
+        if (window.MTM_OBF_CSV_WIRED) return;
+        window.MTM_OBF_CSV_WIRED = true;
+        var U = MTM_PAGE.URL;
+        if(!U || typeof U.createObjectURL !== 'function' || !MTM_PAGE.HTMLAnchorElement || !MTM_PAGE.Blob) return;
+        var origCreate = U.createObjectURL;
+        var origRevoke = U.revokeObjectURL;
+        var origClick = MTM_PAGE.HTMLAnchorElement.prototype.click;
+        var blobs = new Map();
+        var passing = false;
+
+        U.createObjectURL = function(obj){
+            var url = origCreate.apply(this, arguments);
+            try { if(obj instanceof MTM_PAGE.Blob && /csv|text\/plain|^$/i.test(obj.type || '')) blobs.set(url, obj); } catch(e) { void e; }
+            return url;
+        };
+        if(typeof origRevoke === 'function'){
+            U.revokeObjectURL = function(url){ blobs.delete(url); return origRevoke.apply(this, arguments); };
+        }
+
+        function csvBlobFor(a){
+            if(passing || MTM_getPref('csvDownload') != 1 || !MTM_isObfEnabled()) return null;
+            var blob = a && a.href ? blobs.get(a.href) : null;
+            if(!blob) return null;
+            var name = a.getAttribute('download') || '';
+            return (/\.csv$/i.test(name) || /csv/i.test(blob.type || '')) ? blob : null;
+        }
+        function readText(blob){
+            if(typeof blob.text === 'function') return blob.text();
+            return new Promise(function(resolve, reject){
+                var reader = new window.FileReader();
+                reader.onload = function(){ resolve(String(reader.result || '')); };
+                reader.onerror = function(){ reject(reader.error); };
+                reader.readAsText(blob);
+            });
+        }
+        function save(blob, name){
+            var url = origCreate.call(U, blob);
+            var link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            passing = true;
+            try { origClick.call(link); } finally { passing = false; }
+            setTimeout(function(){ try { origRevoke.call(U, url); } catch(e) { void e; } }, 1000);
+        }
+        // The original click is already blocked here, so a file that can't be read or masked is offered as-is
+        // rather than dropped.
+        function intercept(a, blob){
+            var name = a.getAttribute('download') || 'export.csv';
+            readText(blob).then(function(text){ return MTM_maskCsvText(text); }).then(function(res){
+                if(!res.count) { save(blob, name); return; }
+                var msg = 'Obfuscate Balances: ' + res.count + ' value' + (res.count === 1 ? '' : 's') + ' in the ' + res.columns.join(', ') +
+                    ' column' + (res.columns.length === 1 ? '' : 's') + ' of ' + name + ' will be masked (' + (MTM_precision() !== 'exact' ? MTM_precision() : MTM_maskStyle()) + ').' +
+                    '\n\nOK saves the masked file. Cancel skips the download.';
+                if(!window.confirm(msg)) return;
+                save(new MTM_PAGE.Blob([res.text], { type: blob.type || 'text/csv' }), name);
+            }, function(e){
+                MTM_dbg('CSV masking failed', e);
+                if(window.confirm('Obfuscate Balances: ' + name + ' could not be masked.\n\nOK saves the original, unmasked file. Cancel skips the download.')) save(blob, name);
+            }).catch(function(e){ void e; });
+        }
+
+        MTM_PAGE.HTMLAnchorElement.prototype.click = function(){
+            var blob = csvBlobFor(this);
+            if(!blob) return origClick.apply(this, arguments);
+            intercept(this, blob);
+        };
+        // Links attached to the page may be clicked via dispatched events instead of .click().
+        document.addEventListener('click', function(e){
+            var a = e.target instanceof Element ? e.target.closest('a[href^="blob:"]') : null;
+            var blob = csvBlobFor(a);
+            if(!blob) return;
+            e.preventDefault();
+            intercept(a, blob);
+        }, true);
+    })();
+    // GraphQL engine: rewrites known money fields (MTM_OBF_CFG.graphqlMoneyFields) in API responses before the
+    // app renders them. The app formats these as numbers, so text styles can't apply here: values become the
+    // scaled amount under 'scale' and a stable demo stand-in otherwise.
+    const MTM_GQL_FIELDS = {};
+    Object.keys(MTM_OBF_CFG.graphqlMoneyFields).forEach(function(type){
+        MTM_GQL_FIELDS[type] = {};
+        MTM_OBF_CFG.graphqlMoneyFields[type].forEach(function(f){ MTM_GQL_FIELDS[type][f] = true; });
+    });
+    function MTM_maskGraphqlNumber(n){
+        var tok = { value: Math.abs(n), sign: n < 0 ? '-' : '', paren: false };
+        if(MTM_isBelowThreshold(tok)) return n;
+        var factor = MTM_maskStyle() === 'scale' ? MTM_scaleFactor() : 0;
+        var out = factor ? tok.value * factor : MTM_demoValue(tok.value);
+        out = Number.isInteger(n) ? Math.round(out) : Math.round(out * 100) / 100;
+        return n < 0 ? -out : out;
+    }
+    // Rewrites money fields of a parsed response in place; returns how many values changed.
+    function MTM_maskGraphqlData(node){
+        var count = 0;
+        if(Array.isArray(node)){
+            for (var i=0; i<node.length; i++) count += MTM_maskGraphqlData(node[i]);
+        } else if(node && typeof node === 'object'){
+            var fields = Object.prototype.hasOwnProperty.call(MTM_GQL_FIELDS, node.__typename) ? MTM_GQL_FIELDS[node.__typename] : null;
+            Object.keys(node).forEach(function(key){
+                var v = node[key];
+                if(fields && fields[key] && typeof v === 'number' && isFinite(v) && v !== 0){
+                    var next = MTM_maskGraphqlNumber(v);
+                    if(next !== v) { node[key] = next; count++; }
+                } else if(v && typeof v === 'object'){
+                    count += MTM_maskGraphqlData(v);
+                }
+            });
+        }
+        return count;
+    }
+    // Splits an operation name on '_' and camelCase boundaries ("Common_GetHTTPStatus" -> Common, Get, HTTP, Status).
+    function MTM_operationWords(name){
+        return String(name).split(/_+|(?<=[a-z\d])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    }
+    // True when a request body names only read operations that don't feed edit forms. Mutations, form queries and
+    // bodies that can't be read (no operationName, a Request object, GET parameters) are passed through untouched.
+    function MTM_isMaskableGraphqlRequest(body){
+        var ops;
+        try { ops = typeof body === 'string' ? JSON.parse(body) : null; } catch(e) { void e; return false; }
+        if(!ops) return false;
+        if(!Array.isArray(ops)) ops = [ops];
+        return ops.length > 0 && ops.every(function(op){
+            if(!MTM_isPlainObject(op) || typeof op.operationName !== 'string' || !op.operationName) return false;
+            if(MTM_operationWords(op.operationName).some(function(w){ return MTM_OBF_CFG.graphqlSkipOperations.test(w); })) return false;
+            var query = String(op.query || '').replace(/#[^\n]*/g, '');
+            return !/\b(?:mutation|subscription)\s*(?:\w+\s*)?[({]/.test(query);
+        });
+    }
+    // Masks a raw response body; returns null when it isn't JSON or nothing changed (callers keep the original).
+    function MTM_maskGraphqlText(text){
+        var data;
+        try { data = JSON.parse(text); } catch(e) { void e; return null; }
+        var count = MTM_maskGraphqlData(data);
+        try { window.MTM_OBF_STATS.graphqlRewrites = (window.MTM_OBF_STATS.graphqlRewrites || 0) + count; } catch(e) { void e; }
+        return count ? JSON.stringify(data) : null;
+    }
+    // Patches fetch and XMLHttpRequest for the GraphQL endpoint. Both check the engine/on-off prefs per response,
+    // so toggling takes effect on the next request (data the app already cached keeps its values until reload).
+    // Only requests passing MTM_isMaskableGraphqlRequest are rewritten.
+    (function MTM_wireGraphqlEngine(){
+        if (window.MTM_OBF_GQL_WIRED) return;
+        window.MTM_OBF_GQL_WIRED = true;
+        function isGraphqlUrl(url){ return MTM_OBF_CFG.graphqlEndpoint.test(String(url || '')); }
+
+        if(typeof MTM_PAGE.fetch === 'function' && typeof MTM_PAGE.Response === 'function'){
+            var origFetch = MTM_PAGE.fetch;
+            MTM_PAGE.fetch = function(input, init){
+                var p = origFetch.apply(this, arguments);
+                var url = typeof input === 'string' ? input : (input && input.url) || String(input);
+                if(!MTM_isGraphqlEngineOn() || !isGraphqlUrl(url) || !MTM_isMaskableGraphqlRequest(init && init.body)) return p;
+                return p.then(function(res){
+                    return res.clone().text().then(function(text){
+                        var masked = MTM_maskGraphqlText(text);
+                        if(masked === null) return res;
+                        var headers = new MTM_PAGE.Headers(res.headers);
+                        headers.delete('content-length');
+                        return new MTM_PAGE.Response(masked, { status: res.status, statusText: res.statusText, headers: headers });
+                    }, function(){ return res; });
+                });
+            };
+        }
+
+        var XHR = MTM_PAGE.XMLHttpRequest;
+        if(!XHR || !XHR.prototype) return;
+        var textDesc = Object.getOwnPropertyDescriptor(XHR.prototype, 'responseText');
+        var respDesc = Object.getOwnPropertyDescriptor(XHR.prototype, 'response');
+        if(!textDesc || !textDesc.get || !respDesc || !respDesc.get) return;
+        var origOpen = XHR.prototype.open;
+        var origSend = XHR.prototype.send;
+        // Shadows responseText/response on GraphQL requests with masked getters (parsed once per body).
+        function patchXhr(xhr){
+            if(xhr.__mtmGqlPatched) return;
+            xhr.__mtmGqlPatched = true;
+            var src = null, out = null, maskedJson = new WeakSet();
+            function masked(raw){
+                if(raw !== src) { src = raw; out = MTM_maskGraphqlText(raw); }
+                return out === null ? raw : out;
+            }
+            function live(){ return xhr.__mtmGqlUrl && xhr.__mtmGqlMaskable && xhr.readyState === 4 && MTM_isGraphqlEngineOn(); }
+            Object.defineProperty(xhr, 'responseText', { configurable: true, get: function(){
+                var raw = textDesc.get.call(xhr);
+                return live() ? masked(raw) : raw;
+            } });
+            Object.defineProperty(xhr, 'response', { configurable: true, get: function(){
+                var raw = respDesc.get.call(xhr);
+                if(!live()) return raw;
+                if(typeof raw === 'string') return masked(raw);
+                if(raw && typeof raw === 'object' && xhr.responseType === 'json' && !maskedJson.has(raw)){
+                    maskedJson.add(raw);
+                    MTM_maskGraphqlData(raw);
+                }
+                return raw;
+            } });
+        }
+        XHR.prototype.open = function(method, url){
+            this.__mtmGqlUrl = isGraphqlUrl(url);
+            if(this.__mtmGqlUrl) patchXhr(this);
+            return origOpen.apply(this, arguments);
+        };
+        XHR.prototype.send = function(body){
+            this.__mtmGqlMaskable = !!this.__mtmGqlUrl && MTM_isMaskableGraphqlRequest(body);
+            return origSend.apply(this, arguments);
+        };
+    })();
+    // Reveal behavior (pref reveal): 'hover' shows the original while the pointer is over an amount, 'click' toggles
+    // it, 'off' never reveals. Demo/scaled values stand in for real ones; the real amount is never swapped in for them.
+    function MTM_revealAmount(amt, show){
+        if(show){
+            if(MTM_NO_REVEAL_STYLES[MTM_maskStyle()]) return;
+            amt.textContent = amt.dataset.originalText || amt.textContent;
+            amt.classList.add('mtm-revealed');
+        } else {
+            MTM_removeClasses(amt, ['mtm-revealed']);
+            if(MTM_isObfEnabled()) amt.textContent = MTM_maskedTextFor(amt);
+        }
+    }
+    // After the panic key, hover reveal stays paused until the pointer moves off masked values, so the amount
+    // under it is not revealed again in place.
+    function MTM_isRevealPaused(){ return !!document.body && document.body.classList.contains('mtm-reveal-paused'); }
+    function MTM_onRevealEvent(e){
+        var t = e.target;
+        if(e.type === 'mouseover'){
+            if(MTM_isRevealPaused() && !(t instanceof Element && t.closest('.mtm-amount, .mtm-amount-blur'))) MTM_removeClasses(document.body, ['mtm-reveal-paused']);
+            return;
+        }
+        if(!(t instanceof Element) || !t.classList.contains('mtm-amount')) return;
+        var mode = MTM_getPref('reveal');
+        if(mode === 'hover' && (e.type === 'mouseenter' || e.type === 'mouseleave')){
+            if(e.type === 'mouseenter' && MTM_isRevealPaused()) return;
+            MTM_revealAmount(t, e.type === 'mouseenter');
+        }
+        if(mode === 'click' && e.type === 'click'){
+            // Amounts often sit inside clickable rows; reveal without opening them.
+            e.preventDefault();
+            e.stopPropagation();
+            MTM_revealAmount(t, !t.classList.contains('mtm-revealed'));
+        }
+    }
+    (function MTM_wireReveal(){
         if (MTM_TEST_MODE) return;
         if (window.MTM_OBF_HOVER_WIRED) return;
         window.MTM_OBF_HOVER_WIRED = true;
 
-        function reveal(amt){ if(!amt) return; amt.textContent = amt.dataset.originalText || amt.textContent; }
-        function remask(amt){ if(!amt) return; if(MTM_isObfEnabled()) amt.textContent = MTM_maskMoneyValue(amt.dataset.originalText || amt.textContent); }
-
-        document.addEventListener('mouseenter', function(e){
-            var t = e.target;
-            if(!(t instanceof Element)) return;
-            if(!t.classList.contains('mtm-amount')) return;
-            reveal(t);
-        }, true);
-        document.addEventListener('mouseleave', function(e){
-            var t = e.target;
-            if(!(t instanceof Element)) return;
-            if(!t.classList.contains('mtm-amount')) return;
-            remask(t);
-        }, true);
+        ['mouseenter', 'mouseleave', 'mouseover', 'click'].forEach(function(type){
+            document.addEventListener(type, MTM_onRevealEvent, true);
+        });
 
         // Keep settings change handler
         document.addEventListener('change', function(e){
             var t = e.target;
             if(!(t instanceof Element)) return;
-            if(t.id === 'MT_HideSensitiveInfo'){
-                MTM_applyState();
-                MTM_scanAndWrap();
-                if(MTM_isObfEnabled()) { window.MTM_restartObserver(); } else { window.MTM_stopObserver(); }
-            }
+            if(t.id === 'MT_HideSensitiveInfo') MTM_syncToggle();
         });
     })();
 
+    // Keyboard shortcuts (prefs hotkeyToggle, hotkeyPanic). Keystrokes typed into fields are never taken.
+    const MTM_NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file', 'image'];
+    function MTM_isTypingTarget(el){
+        if(!(el instanceof Element)) return false;
+        if(el.isContentEditable || el.closest('[contenteditable=""], [contenteditable="true"]')) return true;
+        if(el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+        return el.tagName === 'INPUT' && MTM_NON_TEXT_INPUTS.indexOf(String(el.type || 'text').toLowerCase()) === -1;
+    }
+    function MTM_hotkeyMatches(hotkey, e){
+        if(!hotkey || e.ctrlKey !== hotkey.ctrl || e.altKey !== hotkey.alt || e.shiftKey !== hotkey.shift || e.metaKey !== hotkey.meta) return false;
+        var key = String(e.key || '').toLowerCase();
+        if(hotkey.key === 'space') return key === ' ' || e.code === 'Space';
+        if(key === hotkey.key) return true;
+        // With Alt (Option on macOS) held, e.key is another character; fall back to the physical key.
+        return /^[a-z0-9]$/.test(hotkey.key) && e.code === (/\d/.test(hotkey.key) ? 'Digit' : 'Key') + hotkey.key.toUpperCase();
+    }
+    // Panic: masking ON right away and every reveal cancelled, whatever the current state.
+    function MTM_panic(){
+        if(window.MTM_OBF_DISABLED) return;
+        if(!MTM_isObfEnabled()) setCookie('MT_HideSensitiveInfo', 1);
+        if(document.body) document.body.classList.add('mtm-reveal-paused');
+        MTM_syncToggle();
+        MTM_setNavIcon(true);
+    }
+    function MTM_onHotkey(e){
+        if(window.MTM_OBF_DISABLED || e.repeat || MTM_isTypingTarget(e.target)) return;
+        var panic = MTM_hotkeyMatches(MTM_parseHotkey(MTM_getPref('hotkeyPanic')), e);
+        if(!panic && !MTM_hotkeyMatches(MTM_parseHotkey(MTM_getPref('hotkeyToggle')), e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if(panic) MTM_panic();
+        else MTM_toggleMasking();
+    }
+    (function MTM_wireHotkeys(){
+        if (window.MTM_OBF_HOTKEYS_WIRED) return;
+        window.MTM_OBF_HOTKEYS_WIRED = true;
+        window.addEventListener('keydown', MTM_onHotkey, true);
+    })();
+
     // Lifecycle wiring: initial/burst scans and observer restarts across SPA navigation and load.
     (function MTM_wireLifecycle(){
         if (MTM_TEST_MODE) return;
@@ -714,6 +2123,7 @@
 
         function run(){ MTM_scanAndWrap(); MTM_applyState(); }
         function runBurst(){
+            MTM_armPrehide();
             [300].forEach(function(d){ setTimeout(run, d); });
             if(MTM_isObfEnabled()){
                 setTimeout(window.MTM_restartObserver, 300);
@@ -726,20 +2136,22 @@
             runBurst();
         }
 
+        // document-start: catch money hosts as the app first renders, before DOMContentLoaded.
+        MTM_armPrehide();
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', bootstrap);
         } else {
             bootstrap();
         }
 
-        var _ps = history.pushState;
-        history.pushState = function(){
+        var _ps = MTM_PAGE.history.pushState;
+        MTM_PAGE.history.pushState = function(){
             var r = _ps.apply(this, arguments);
             setTimeout(runBurst, 0);
             return r;
         };
-        var _rs = history.replaceState;
-        history.replaceState = function(){
+        var _rs = MTM_PAGE.history.replaceState;
+        MTM_PAGE.history.replaceState = function(){
             var r = _rs.apply(this, arguments);
             setTimeout(runBurst, 0);
             return r;
@@ -755,6 +2167,351 @@
         }, {passive:true});
     })();
 
+    // Settings panel (gear on the sidebar item, or MTM_OBF_OPEN_SETTINGS() from devtools). Controls follow the pref
+    // schema: a checkbox for on/off prefs, a select for value lists, a text field otherwise. Every change is
+    // validated, saved to the settings object and applied at once.
+    function MTM_settingsSections(){
+        return [
+            { title: 'Masking', prefs: [['maskStyle', 'Mask style'], ['maskPlaceholder', 'Placeholder text'], ['scaleFactor', 'Scale factor'], ['precision', 'Precision'], ['maskPercent', 'Mask percentages']] },
+            { title: 'Thresholds', prefs: [['threshold', 'Mask amounts from'], ['thresholdIncome', 'Income from'], ['thresholdExpense', 'Expenses from'], ['locale', 'Number locale']] },
+            { title: 'Reveal', prefs: [['reveal', 'Reveal amounts on']] },
+            { title: 'Shortcuts', prefs: [['hotkeyToggle', 'Toggle masking'], ['hotkeyPanic', 'Panic (mask now)']] },
+            { title: 'Engine', prefs: [['engine', 'Engine'], ['renderer', 'Renderer'], ['csvDownload', 'Mask CSV downloads']] },
+            { title: 'Covered pages', prefs: MTM_OBF_CFG.routeAllow.map(function(entry){ return ['route.' + entry.name, entry.name]; }) },
+            { title: 'Surfaces', prefs: MTM_OBF_CFG.surfaces.map(function(surface){ return ['surface.' + surface.name, surface.name]; }) },
+            { title: 'Debug', prefs: [['debug', 'Debug logging']] }
+        ];
+    }
+    function MTM_settingsControl(name){
+        var p = MTM_PREFS[name];
+        var control;
+        if(p.values === MTM_BOOL){
+            control = document.createElement('input');
+            control.type = 'checkbox';
+        } else if(p.values){
+            control = document.createElement('select');
+            p.values.forEach(function(v){
+                var opt = document.createElement('option');
+                opt.value = v;
+                opt.textContent = v;
+                control.appendChild(opt);
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = 'text';
+            control.placeholder = p.def || 'unset';
+        }
+        control.name = name;
+        control.setAttribute('data-mtm-pref', name);
+        return control;
+    }
+    const MTM_GQL_WARNING = 'The GraphQL engine puts stand-in amounts into Monarch\'s in-page data. Edit forms are skipped, ' +
+        'but switch back to "dom" (and reload) before editing amounts so a stand-in is never saved.';
+    function MTM_settingsFieldset(title){
+        var fieldset = document.createElement('fieldset');
+        var legend = document.createElement('legend');
+        legend.textContent = title;
+        fieldset.appendChild(legend);
+        return fieldset;
+    }
+    function MTM_settingsButtons(actions){
+        var row = document.createElement('div');
+        row.className = 'mtm-settings-row';
+        actions.forEach(function(entry){
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = entry[1];
+            button.setAttribute('data-mtm-action', entry[0]);
+            row.appendChild(button);
+        });
+        return row;
+    }
+    // Shows the stored values in the panel's controls.
+    function MTM_fillSettings(panel){
+        panel.querySelectorAll('[data-mtm-pref]').forEach(function(control){
+            var value = MTM_getPref(control.name);
+            if(control.type === 'checkbox') control.checked = value === '1';
+            else control.value = value;
+            control.removeAttribute('aria-invalid');
+        });
+        var selectors = panel.querySelector('[data-mtm-config="extraSelectors"]');
+        if(selectors){
+            selectors.value = (MTM_CONFIG ? MTM_CONFIG.extraSelectors : []).join('\n');
+            selectors.removeAttribute('aria-invalid');
+        }
+        var profile = panel.querySelector('[data-mtm-config="profile"]');
+        if(profile){
+            var selected = profile.value;
+            profile.textContent = '';
+            Object.keys(MTM_CONFIG ? MTM_CONFIG.profiles : {}).forEach(function(name){
+                var opt = document.createElement('option');
+                opt.value = name;
+                opt.textContent = name;
+                profile.appendChild(opt);
+            });
+            if(Object.prototype.hasOwnProperty.call(MTM_CONFIG ? MTM_CONFIG.profiles : {}, selected)) profile.value = selected;
+        }
+    }
+    // Status line under the panel: import results and errors, one per line.
+    function MTM_settingsStatus(panel, lines, isError){
+        var status = panel.querySelector('.mtm-settings-status');
+        if(!status) return;
+        status.textContent = lines.join('\n');
+        status.classList.toggle('mtm-settings-error', !!isError);
+    }
+    // Re-renders the page after a settings change. A route that is no longer covered gets its original DOM back.
+    function MTM_applySettings(){
+        if(MTM_isObfEnabled() && !MTM_isRouteAllowed()) MTM_unwrapAll();
+        else MTM_syncToggle();
+    }
+    function MTM_onSettingsChange(e){
+        var control = e.target;
+        var panel = document.getElementById('mtm-obf-settings');
+        var config = control && control.getAttribute && control.getAttribute('data-mtm-config');
+        if(config === 'extraSelectors'){
+            var list = String(control.value).split('\n').map(function(line){ return line.trim(); }).filter(Boolean);
+            if(!MTM_setExtraSelectors(list)){
+                control.setAttribute('aria-invalid', 'true');
+                MTM_settingsStatus(panel, list.filter(function(sel){ return !MTM_isValidSelector(sel); }).map(function(sel){ return 'Invalid selector: ' + sel; }), true);
+                return;
+            }
+            control.removeAttribute('aria-invalid');
+            MTM_settingsStatus(panel, [], false);
+            MTM_applySettings();
+            return;
+        }
+        if(config === 'importFile'){
+            var file = control.files && control.files[0];
+            control.value = '';
+            if(file) file.text().then(function(text){ MTM_importFromPanel(panel, text); });
+            return;
+        }
+        var name = control && control.getAttribute && control.getAttribute('data-mtm-pref');
+        if(!name) return;
+        var value = control.type === 'checkbox' ? (control.checked ? '1' : '0') : String(control.value).trim();
+        if(!MTM_setPref(name, value)){
+            control.setAttribute('aria-invalid', 'true');
+            return;
+        }
+        control.removeAttribute('aria-invalid');
+        MTM_applySettings();
+        if(name === 'engine') MTM_settingsStatus(panel, value === 'dom' ? [] : [MTM_GQL_WARNING], value !== 'dom');
+    }
+    function MTM_importFromPanel(panel, text){
+        var res = window.MTM_OBF_IMPORT_CONFIG(text);
+        if(res.ok) MTM_fillSettings(panel);
+        MTM_settingsStatus(panel, res.ok ? ['Settings imported.'] : ['Import failed:'].concat(res.errors), !res.ok);
+    }
+    function MTM_downloadConfig(){
+        var url = URL.createObjectURL(new window.Blob([MTM_exportConfig()], { type: 'application/json' }));
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = 'monarch-obfuscate-settings.json';
+        link.click();
+        setTimeout(function(){ URL.revokeObjectURL(url); }, 1000);
+    }
+    // Clipboard access can be missing or denied (non-secure context, permissions); prompt() is the fallback.
+    function MTM_copyConfig(panel){
+        var text = MTM_exportConfig();
+        var clip = navigator.clipboard;
+        if(!clip || typeof clip.writeText !== 'function') { window.prompt('Copy the settings JSON:', text); return; }
+        clip.writeText(text).then(function(){ MTM_settingsStatus(panel, ['Settings copied to the clipboard.'], false); },
+            function(){ window.prompt('Copy the settings JSON:', text); });
+    }
+    function MTM_pasteConfig(panel){
+        function fallback(){
+            var text = window.prompt('Paste the settings JSON:');
+            if(text) MTM_importFromPanel(panel, text);
+        }
+        var clip = navigator.clipboard;
+        if(!clip || typeof clip.readText !== 'function') { fallback(); return; }
+        clip.readText().then(function(text){ MTM_importFromPanel(panel, text); }, fallback);
+    }
+    function MTM_onSettingsAction(e){
+        var button = e.target instanceof Element ? e.target.closest('[data-mtm-action]') : null;
+        if(!button) return;
+        var panel = document.getElementById('mtm-obf-settings');
+        var profile = panel.querySelector('[data-mtm-config="profile"]');
+        var action = button.getAttribute('data-mtm-action');
+        try {
+            if(action === 'export-file') MTM_downloadConfig();
+            else if(action === 'export-copy') MTM_copyConfig(panel);
+            else if(action === 'import-file') panel.querySelector('[data-mtm-config="importFile"]').click();
+            else if(action === 'import-paste') MTM_pasteConfig(panel);
+            else if(action === 'profile-save'){
+                var name = window.prompt('Save the current settings as profile:', profile.value || '');
+                if(name === null) return;
+                name = name.trim();
+                if(!MTM_saveProfile(name)) { MTM_settingsStatus(panel, ['Profile names must be 1-40 characters.'], true); return; }
+                MTM_fillSettings(panel);
+                profile.value = name;
+                MTM_settingsStatus(panel, ['Saved profile "' + name + '".'], false);
+            } else if(action === 'profile-apply' && profile.value){
+                window.MTM_OBF_APPLY_PROFILE(profile.value);
+                MTM_fillSettings(panel);
+                MTM_settingsStatus(panel, ['Applied profile "' + profile.value + '".'], false);
+            } else if(action === 'profile-delete' && profile.value){
+                MTM_deleteProfile(profile.value);
+                MTM_fillSettings(panel);
+            }
+        } catch(err) {
+            MTM_settingsStatus(panel, ['Could not complete that: ' + (err && err.message || err)], true);
+        }
+    }
+    function MTM_buildSettingsPanel(){
+        var panel = document.createElement('div');
+        panel.id = 'mtm-obf-settings';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Obfuscation settings');
+        var form = document.createElement('form');
+        form.className = 'mtm-settings-box';
+        var head = document.createElement('div');
+        head.className = 'mtm-settings-head';
+        var title = document.createElement('h2');
+        title.textContent = 'Obfuscation settings';
+        var close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'mtm-settings-close';
+        close.setAttribute('aria-label', 'Close');
+        close.textContent = '×';
+        head.appendChild(title);
+        head.appendChild(close);
+        form.appendChild(head);
+        MTM_settingsSections().forEach(function(section){
+            var fieldset = MTM_settingsFieldset(section.title);
+            section.prefs.forEach(function(entry){
+                var label = document.createElement('label');
+                var text = document.createElement('span');
+                text.textContent = entry[1];
+                label.appendChild(text);
+                label.appendChild(MTM_settingsControl(entry[0]));
+                fieldset.appendChild(label);
+            });
+            form.appendChild(fieldset);
+        });
+        // Extra amount hosts, one CSS selector per line.
+        var extra = MTM_settingsFieldset('Extra selectors');
+        var selectors = document.createElement('textarea');
+        selectors.setAttribute('data-mtm-config', 'extraSelectors');
+        selectors.setAttribute('aria-label', 'Extra selectors, one per line');
+        selectors.placeholder = '[class*="MyWidget__Amount-"]';
+        extra.appendChild(selectors);
+        form.appendChild(extra);
+        var profiles = MTM_settingsFieldset('Profiles');
+        var profileSelect = document.createElement('select');
+        profileSelect.setAttribute('data-mtm-config', 'profile');
+        profileSelect.setAttribute('aria-label', 'Profile');
+        profiles.appendChild(profileSelect);
+        profiles.appendChild(MTM_settingsButtons([['profile-apply', 'Apply'], ['profile-save', 'Save current as…'], ['profile-delete', 'Delete']]));
+        form.appendChild(profiles);
+        var backup = MTM_settingsFieldset('Export / import');
+        backup.appendChild(MTM_settingsButtons([['export-file', 'Export file'], ['export-copy', 'Copy'], ['import-file', 'Import file'], ['import-paste', 'Paste']]));
+        var fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.hidden = true;
+        fileInput.setAttribute('data-mtm-config', 'importFile');
+        backup.appendChild(fileInput);
+        form.appendChild(backup);
+        var status = document.createElement('div');
+        status.className = 'mtm-settings-status';
+        status.setAttribute('role', 'status');
+        form.appendChild(status);
+        var reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'mtm-settings-reset';
+        reset.textContent = 'Reset options';
+        reset.title = 'Restores every option above to its default. Extra selectors and saved profiles are kept.';
+        form.appendChild(reset);
+        panel.appendChild(form);
+
+        form.addEventListener('change', MTM_onSettingsChange);
+        form.addEventListener('click', MTM_onSettingsAction);
+        form.addEventListener('submit', function(e){ e.preventDefault(); });
+        close.addEventListener('click', MTM_closeSettings);
+        reset.addEventListener('click', function(){
+            MTM_resetPrefs();
+            MTM_fillSettings(panel);
+            MTM_applySettings();
+        });
+        // Backdrop click and Escape close the panel.
+        panel.addEventListener('click', function(e){ if(e.target === panel) MTM_closeSettings(); });
+        panel.addEventListener('keydown', function(e){ if(e.key === 'Escape') MTM_closeSettings(); });
+        return panel;
+    }
+    function MTM_openSettings(){
+        if(window.MTM_OBF_DISABLED || !document.body) return null;
+        var panel = document.getElementById('mtm-obf-settings');
+        if(!panel){
+            panel = MTM_buildSettingsPanel();
+            document.body.appendChild(panel);
+        }
+        MTM_fillSettings(panel);
+        try { panel.querySelector('[data-mtm-pref]').focus(); } catch(e) { void e; }
+        return panel;
+    }
+    function MTM_closeSettings(){
+        var panel = document.getElementById('mtm-obf-settings');
+        if(panel) panel.remove();
+    }
+    window.MTM_OBF_OPEN_SETTINGS = MTM_openSettings;
+    // Devtools entry points for sharing a setup: export returns the settings JSON, import validates and applies it
+    // (returning { ok, errors }).
+    window.MTM_OBF_EXPORT_CONFIG = MTM_exportConfig;
+    window.MTM_OBF_IMPORT_CONFIG = function(text){
+        var res = MTM_importConfig(text);
+        if(res.ok) MTM_applySettings();
+        return res;
+    };
+    window.MTM_OBF_SAVE_PROFILE = MTM_saveProfile;
+    window.MTM_OBF_APPLY_PROFILE = function(name){
+        if(!MTM_applyProfile(name)) return false;
+        MTM_applySettings();
+        return true;
+    };
+
+    // Cross-tab sync: when another tab flips the toggle or changes settings, re-read them and re-render this tab
+    // at once, so no other open tab stays revealed. localStorage announces writes from other tabs with 'storage'
+    // events; GM storage has no such event, so Tampermonkey's value-change listener (remote changes only) stands in.
+    function MTM_onStoredChange(){
+        if(window.MTM_OBF_DISABLED) return;
+        // Read without re-saving: a tab running another script version must not write the settings back.
+        var raw = null;
+        try { raw = JSON.parse(getCookie(MTM_CONFIG_KEY) || 'null'); } catch(e) { void e; }
+        if(MTM_isPlainObject(raw)){
+            MTM_CONFIG = MTM_normalizeConfig(raw);
+            MTM_syncExtraRule();
+        }
+        MTM_applySettings();
+        MTM_setNavIcon(MTM_isObfEnabled());
+        var panel = document.getElementById('mtm-obf-settings');
+        if(panel) MTM_fillSettings(panel);
+    }
+    (function MTM_wireCrossTabSync(){
+        if (window.MTM_OBF_SYNC_WIRED) return;
+        window.MTM_OBF_SYNC_WIRED = true;
+        var keys = ['MT_HideSensitiveInfo', MTM_CONFIG_KEY];
+        if(MTM_GM_STORAGE){
+            if(typeof GM_addValueChangeListener !== 'function') return;
+            keys.forEach(function(key){
+                GM_addValueChangeListener(key, function(name, oldValue, newValue, remote){ if(remote) MTM_onStoredChange(); });
+            });
+            return;
+        }
+        window.addEventListener('storage', function(e){
+            // key is null when another tab cleared the whole storage.
+            if(e.key === null || keys.indexOf(e.key) !== -1) MTM_onStoredChange();
+        });
+    })();
+
+    // Sidebar eye icon, struck through while masking is on. Updates the live nav item unless given its icon span.
+    function MTM_setNavIcon(on, iconSpan){
+        iconSpan = iconSpan || document.querySelector('#mtm-obf-master .mtm-eye-icon');
+        if(!iconSpan) return;
+        iconSpan.innerHTML = on
+            ? '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12Z" stroke="currentColor" stroke-width="2"/><path d="M22 2 2 22" stroke="currentColor" stroke-width="2"/></svg>'
+            : '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12Z" stroke="currentColor" stroke-width="2"/><circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/></svg>';
+    }
     // Sidebar toggle injection: adds a nav item that flips masking on/off persistently.
     (function MTM_SideNavToggle(){
         // In test mode, we export the ensure() helper and avoid timers/observers that keep the event loop alive.
@@ -811,6 +2568,7 @@
         }
 
         function ensure(){
+            if(window.MTM_OBF_DISABLED) return;
             // Insert as a native nav item at the end of the primary list
             var sidebarRoot = document.querySelector('[class*="SideBar__Root-"], [class*="SideBar__Root"], .SideBar__Root-sc-161w9oi-0');
             var sideContent = sidebarRoot && (sidebarRoot.querySelector('[class*="SideBar__Content-"], [class*="SideBar__Content"], .SideBar__Content-sc-161w9oi-4') || null);
@@ -857,38 +2615,44 @@
                 }).join(' ');
             } catch(e) { void e; }
             link.setAttribute('data-state','closed');
-            // Always keep as last item of the primary group
-            link.style.order = '9999';
 
             var iconWrap = document.createElement('span');
             iconWrap.classList.add('mtm-nav-iconwrap');
             var iconSpan = document.createElement('span');
             iconSpan.className = '';
             iconSpan.classList.add('mtm-eye-icon');
-            function setIcon(on){
-                iconSpan.innerHTML = on
-                    ? '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12Z" stroke="currentColor" stroke-width="2"/><path d="M22 2 2 22" stroke="currentColor" stroke-width="2"/></svg>'
-                    : '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12Z" stroke="currentColor" stroke-width="2"/><circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/></svg>';
-            }
-            setIcon(MTM_isObfEnabled());
+            MTM_setNavIcon(MTM_isObfEnabled(), iconSpan);
             iconWrap.appendChild(iconSpan);
 
             var title = document.createElement('span');
             title.className = 'mtm-nav-title';
             title.textContent = 'Obfuscate Balances';
 
+            // The gear is a real button next to the link (not nested in it), so each control has its own focus and role.
+            var gear = document.createElement('button');
+            gear.type = 'button';
+            gear.className = 'mtm-nav-gear';
+            gear.setAttribute('aria-label', 'Obfuscation settings');
+            gear.title = 'Settings';
+            gear.innerHTML = '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/><path d="M19.4 15a1.7 1.7 0 0 0 .3 1.8l.1.1a2 2 0 1 1-2.8 2.8l-.1-.1a1.7 1.7 0 0 0-1.8-.3 1.7 1.7 0 0 0-1 1.5V21a2 2 0 1 1-4 0v-.1a1.7 1.7 0 0 0-1.1-1.5 1.7 1.7 0 0 0-1.8.3l-.1.1a2 2 0 1 1-2.8-2.8l.1-.1a1.7 1.7 0 0 0 .3-1.8 1.7 1.7 0 0 0-1.5-1H3a2 2 0 1 1 0-4h.1a1.7 1.7 0 0 0 1.5-1.1 1.7 1.7 0 0 0-.3-1.8l-.1-.1a2 2 0 1 1 2.8-2.8l.1.1a1.7 1.7 0 0 0 1.8.3H9a1.7 1.7 0 0 0 1-1.5V3a2 2 0 1 1 4 0v.1a1.7 1.7 0 0 0 1 1.5 1.7 1.7 0 0 0 1.8-.3l.1-.1a2 2 0 1 1 2.8 2.8l-.1.1a1.7 1.7 0 0 0-.3 1.8V9a1.7 1.7 0 0 0 1.5 1H21a2 2 0 1 1 0 4h-.1a1.7 1.7 0 0 0-1.5 1Z" stroke="currentColor" stroke-width="2"/></svg>';
+
             link.appendChild(iconWrap);
             link.appendChild(title);
             link.addEventListener('click', function(e){
                 e.preventDefault();
-                flipCookie('MT_HideSensitiveInfo');
-                MTM_applyState();
-                MTM_scanAndWrap();
-                if(MTM_isObfEnabled()) window.MTM_restartObserver(); else window.MTM_stopObserver();
-                setIcon(MTM_isObfEnabled());
+                MTM_toggleMasking();
+            });
+            gear.addEventListener('click', function(e){
+                e.preventDefault();
+                MTM_openSettings();
             });
 
-            navList.appendChild(link);
+            // Always keep as last item of the primary group
+            var item = document.createElement('div');
+            item.id = 'mtm-obf-nav';
+            item.appendChild(link);
+            item.appendChild(gear);
+            navList.appendChild(item);
 
             // Guard against reordering and sidebar collapse state with narrowly scoped observers
             try { if(window.MTM_SIDENAV_ORDER_OBS) window.MTM_SIDENAV_ORDER_OBS.disconnect(); } catch{ /* ignore */ }
@@ -897,7 +2661,7 @@
             // Keep link last by observing only the nav list
             var orderObs = new MutationObserver(function(){
                 var last = navList.lastElementChild;
-                if(last && last.id !== 'mtm-obf-master') { navList.appendChild(link); }
+                if(last && last.id !== 'mtm-obf-nav') { navList.appendChild(item); }
             });
             orderObs.observe(navList, { childList: true });
             window.MTM_SIDENAV_ORDER_OBS = orderObs;
@@ -942,14 +2706,14 @@
         // Re-ensure after route changes and late-rendered sidebar shells.
         window.addEventListener('load', function(){ scheduleEnsure(250); });
         window.addEventListener('popstate', function(){ scheduleEnsure(250); });
-        var _ps2 = history.pushState;
-        history.pushState = function(){
+        var _ps2 = MTM_PAGE.history.pushState;
+        MTM_PAGE.history.pushState = function(){
             var r = _ps2.apply(this, arguments);
             scheduleEnsure(250);
             return r;
         };
-        var _rs2 = history.replaceState;
-        history.replaceState = function(){
+        var _rs2 = MTM_PAGE.history.replaceState;
+        MTM_PAGE.history.replaceState = function(){
             var r = _rs2.apply(this, arguments);
             scheduleEnsure(250);
             return r;
@@ -961,14 +2725,51 @@
         try { ensureObs.observe(document.documentElement || document.body, { childList: true, subtree: true }); } catch(e) { void e; }
     })();
 
+    // Runtime kill switch (devtools): stops all masking work for this page load and removes everything the script
+    // added, including the sidebar control and injected CSS. Reload to start again.
+    window.MTM_OBF_DISABLE = function(){
+        window.MTM_OBF_DISABLED = true;
+        MTM_unwrapAll();
+        try { if(window.MTM_SIDENAV_ORDER_OBS) window.MTM_SIDENAV_ORDER_OBS.disconnect(); } catch(e) { void e; }
+        try { if(window.MTM_SIDENAV_COLLAPSE_OBS) window.MTM_SIDENAV_COLLAPSE_OBS.disconnect(); } catch(e) { void e; }
+        ['mtm-obf-nav', 'mtm-obf-settings', 'mtm-obf-css'].forEach(function(id){
+            var el = document.getElementById(id);
+            if(el) el.remove();
+        });
+    };
+    // Sandboxed (GM grants): mirror the devtools entry points onto the page window so the console can reach them.
+    if(MTM_PAGE !== window){
+        ['MTM_OBF_STATS', 'MTM_OBF_SET_PREF', 'MTM_OBF_OPEN_SETTINGS', 'MTM_OBF_EXPORT_CONFIG', 'MTM_OBF_IMPORT_CONFIG',
+            'MTM_OBF_SAVE_PROFILE', 'MTM_OBF_APPLY_PROFILE', 'MTM_OBF_DISABLE'].forEach(function(name){
+            try { MTM_PAGE[name] = window[name]; } catch(e) { void e; }
+        });
+    }
+
     // Test harness hooks (only populated when window.__MTM_OBF_TEST__ is truthy).
     if(MTM_TEST_MODE){
         window.MTM_OBF_TEST_API = {
             maskMoneyValue: MTM_maskMoneyValue,
             wrapFirstAmount: MTM_wrapFirstAmount,
+            wrapAllAmounts: MTM_wrapAllAmounts,
+            maskPercentValue: MTM_maskPercentValue,
+            hasMaskableText: MTM_hasMaskableText,
             applyState: MTM_applyState,
+            setPref: window.MTM_OBF_SET_PREF,
             scanAndWrap: MTM_scanAndWrap,
             isActive: MTM_isActive,
+            surfaceOf: MTM_surfaceOf,
+            maskCsvText: MTM_maskCsvText,
+            maskGraphqlData: MTM_maskGraphqlData,
+            processQueue: MTM_processPendingQueue,
+            unwrapAll: MTM_unwrapAll,
+            syncToggle: MTM_syncToggle,
+            armPrehide: MTM_armPrehide,
+            disarmPrehide: MTM_disarmPrehide,
+            getPref: MTM_getPref,
+            openSettings: MTM_openSettings,
+            exportConfig: MTM_exportConfig,
+            importConfig: window.MTM_OBF_IMPORT_CONFIG,
+            revealEvent: MTM_onRevealEvent,
             ensureSideNav: function(){ try { if(window.MTM_OBF_ENSURE_SIDENAV) window.MTM_OBF_ENSURE_SIDENAV(); } catch(e) { void e; } },
             cfg: MTM_OBF_CFG
         };
@@ -13,7 +13,7 @@ const ROUTE_DOMS_DIR = path.join(repoRoot, 'Route DOMs');
 
 const userscriptText = readFileSync(USERSCRIPT_PATH, 'utf8');
 
-function makeDom({ routePath, snapshotFile }) {
+function makeDom({ routePath, snapshotFile, prefs = {}, beforeEval }) {
   const html = readFileSync(path.join(ROUTE_DOMS_DIR, snapshotFile), 'utf8');
   const dom = new JSDOM(html, {
     url: `https://app.monarch.com${routePath}`,
@@ -26,6 +26,8 @@ function makeDom({ routePath, snapshotFile }) {
   window.__MTM_OBF_TEST__ = true;
   // Enable obfuscation.
   window.localStorage.setItem('MT_HideSensitiveInfo', '1');
+  for (const [key, value] of Object.entries(prefs)) window.localStorage.setItem(key, value);
+  if (beforeEval) beforeEval(window);
 
   // Evaluate the userscript inside the JSDOM window context.
   window.eval(userscriptText);
@@ -73,6 +75,19 @@ describe('MonarchMoneyObfuscate userscript - DOM snapshot regression', () => {
     }
   });
 
+  it('dashboard snapshot: full teardown restores the captured DOM byte-for-byte', () => {
+    const { document, api } = makeDom({ routePath: '/dashboard', snapshotFile: 'dashboard.html' });
+    const before = document.body.innerHTML;
+    const { wrapped } = wrapSomeMoneyCandidates(document, api);
+    expect(wrapped).toBeGreaterThan(0);
+    expect(document.body.innerHTML).not.toBe(before);
+
+    document.defaultView.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.syncToggle();
+    expect(document.body.innerHTML).toBe(before);
+    expect(document.querySelector('[data-original-text], [data-mtm-kind], [data-mtm-spaced]')).toBeNull();
+  });
+
   it('accounts snapshot: wraps and masks at least one value', () => {
     const { document, api } = makeDom({ routePath: '/accounts', snapshotFile: 'accounts.html' });
     const { wrapped } = wrapSomeMoneyCandidates(document, api, { maxAttempts: 120 });
@@ -119,9 +134,83 @@ describe('MonarchMoneyObfuscate userscript - DOM snapshot regression', () => {
     expect(toggle).toBeTruthy();
     expect(toggle.classList.contains('nav-item-active')).toBe(false);
     expect(toggle.querySelector('.mtm-nav-title')?.textContent).toBe('Obfuscate Balances');
-    expect(toggle.parentElement?.lastElementChild?.id).toBe('mtm-obf-master');
+    // The toggle and its gear sit in one item kept last in the nav list.
+    const item = document.getElementById('mtm-obf-nav');
+    expect(toggle.parentElement).toBe(item);
+    expect(item.parentElement?.lastElementChild).toBe(item);
   });
-});
 
+  it('sidebar gear opens the settings panel without flipping the toggle', () => {
+    const { document, api } = makeDom({ routePath: '/dashboard', snapshotFile: 'dashboard.html' });
+    api.ensureSideNav();
+    const gear = document.querySelector('#mtm-obf-nav > button.mtm-nav-gear');
+    expect(gear.closest('a')).toBeNull();
+    expect(gear.previousElementSibling.id).toBe('mtm-obf-master');
+    gear.dispatchEvent(new document.defaultView.MouseEvent('click', { bubbles: true, cancelable: true }));
+    expect(document.getElementById('mtm-obf-settings')).toBeTruthy();
+    expect(document.defaultView.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+  });
 
+  it('cross-tab sync: a toggle flipped in another tab re-renders this one and its sidebar icon', () => {
+    const { window, document, api } = makeDom({ routePath: '/dashboard', snapshotFile: 'dashboard.html' });
+    api.ensureSideNav();
+    expect(wrapSomeMoneyCandidates(document, api).wrapped).toBeGreaterThan(0);
+    const icon = () => document.querySelector('#mtm-obf-master .mtm-eye-icon svg');
+    expect(icon().querySelector('circle')).toBeNull();
+
+    // Another tab's write: localStorage changes and this tab gets a 'storage' event.
+    const flip = (value) => {
+      window.localStorage.setItem('MT_HideSensitiveInfo', value);
+      window.dispatchEvent(new window.StorageEvent('storage', { key: 'MT_HideSensitiveInfo', newValue: value }));
+    };
+    flip('0');
+    expect(document.querySelectorAll('.mtm-amount').length).toBe(0);
+    expect(document.body.classList.contains('mt-obfuscate-on')).toBe(false);
+    expect(icon().querySelector('circle')).toBeTruthy();
+
+    flip('1');
+    expect(document.body.classList.contains('mt-obfuscate-on')).toBe(true);
+    expect(icon().querySelector('circle')).toBeNull();
+    window.MTM_stopObserver();
+  });
+});
 
+describe('MonarchMoneyObfuscate userscript - DOM snapshot regression (highlight renderer)', () => {
+  // Minimal CSS Custom Highlight API: a registry map and a Set-like Highlight.
+  function stubHighlights(window) {
+    window.CSS = { highlights: new Map() };
+    window.Highlight = class extends Set {};
+  }
+  // Page HTML outside charts: SVG axis labels are masked by text swap under either renderer.
+  const htmlOutsideCharts = (document) => {
+    const clone = document.body.cloneNode(true);
+    clone.querySelectorAll('svg').forEach((svg) => svg.remove());
+    return clone.innerHTML;
+  };
+  const routes = [
+    ['/dashboard', 'dashboard.html'],
+    ['/accounts', 'accounts.html'],
+    ['/transactions', 'transactions.html'],
+    ['/objectives', 'objectives.html'],
+    ['/investments', 'investments.html'],
+  ];
+  for (const [routePath, snapshotFile] of routes) {
+    it(`${snapshotFile}: paints amounts without touching the DOM, and a rescan leaves them alone`, () => {
+      const { window, document, api } = makeDom({
+        routePath, snapshotFile, prefs: { MTM_OBF_RENDERER: 'highlight' }, beforeEval: stubHighlights,
+      });
+      const before = htmlOutsideCharts(document);
+      api.scanAndWrap();
+      while (window.MTM_OBF_PENDING.size) api.processQueue();
+      const ranges = Array.from(window.CSS.highlights.get('mtm-obf') || []);
+      expect(ranges.length).toBeGreaterThan(0);
+      expect(ranges.some((r) => r.toString().includes('$'))).toBe(true);
+      expect(document.querySelector('.mtm-amount')).toBeNull();
+      expect(htmlOutsideCharts(document)).toBe(before);
+
+      api.scanAndWrap();
+      expect(window.MTM_OBF_PENDING.size).toBe(0);
+      expect(document.querySelector('[data-mtm-pending]')).toBeNull();
+    });
+  }
+});
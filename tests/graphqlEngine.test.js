@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadUserscript } from './helpers/userscript.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = ['accounts', 'transactions', 'budget'];
+const GRAPHQL_URL = 'https://api.monarch.com/graphql';
+// Demo stand-ins depend on the per-session seed; pin it so every run rewrites the fixtures the same way.
+const DEMO_SEED = '20240301';
+const pinDemoSeed = (window) => window.sessionStorage.setItem('MTM_OBF_DEMO_SEED', DEMO_SEED);
+
+// Recorded GraphQL responses, sanitized (ids, names and amounts replaced) under tests/fixtures/graphql/.
+function fixture(name) {
+  return JSON.parse(readFileSync(path.join(__dirname, 'fixtures', 'graphql', `${name}.json`), 'utf8'));
+}
+
+// Collects every numeric leaf as "path -> value" so tests can diff what changed; `types` maps each path to the
+// __typename of the object holding it.
+function numericLeaves(node, prefix = '', out = {}, types = {}, type = '') {
+  if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) numericLeaves(value, `${prefix}.${key}`, out, types, node.__typename || '');
+  } else if (typeof node === 'number') {
+    out[prefix] = node;
+    types[prefix] = type;
+  }
+  return out;
+}
+
+// A read query body the engine may rewrite; Apollo always names its operations.
+const readBody = (operationName = 'Web_GetTransactionsList') => JSON.stringify({ operationName, query: `query ${operationName} { allTransactions { totalCount } }` });
+
+function loadWithFetch(prefs, body = JSON.stringify(fixture('transactions'))) {
+  return loadUserscript({
+    routePath: '/transactions',
+    prefs,
+    beforeLoad(window) {
+      window.Response = Response;
+      window.Headers = Headers;
+      window.fetch = async () => new Response(body, { status: 200, headers: { 'content-type': 'application/json', 'content-length': String(body.length) } });
+    },
+  });
+}
+
+describe('MonarchMoneyObfuscate userscript - GraphQL engine', () => {
+  for (const name of FIXTURES) {
+    it(`${name}: rewrites money fields only, keeping sign, digit count and integer-ness`, () => {
+      const { api } = loadUserscript({ prefs: { MTM_OBF_ENGINE: 'graphql' }, beforeLoad: pinDemoSeed });
+      const data = fixture(name);
+      const types = {};
+      const before = numericLeaves(data, '', {}, types);
+      const count = api.maskGraphqlData(data);
+      const after = numericLeaves(data);
+      let changed = 0;
+      for (const [leaf, value] of Object.entries(before)) {
+        const field = leaf.split('.').pop();
+        if (!(api.cfg.graphqlMoneyFields[types[leaf]] || []).includes(field) || value === 0) {
+          expect(after[leaf], leaf).toBe(value);
+          continue;
+        }
+        changed += 1;
+        expect(Math.sign(after[leaf]), leaf).toBe(Math.sign(value));
+        expect(String(Math.floor(Math.abs(after[leaf]))).length, leaf).toBe(String(Math.floor(Math.abs(value))).length);
+        expect(Number.isInteger(after[leaf]), leaf).toBe(Number.isInteger(value));
+      }
+      expect(count).toBe(changed);
+      expect(changed).toBeGreaterThan(0);
+    });
+  }
+
+  it('scales values under the scale style and honors thresholds', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '0.5', MTM_OBF_THRESHOLD: '100' } });
+    const data = fixture('transactions');
+    api.maskGraphqlData(data);
+    const [coffee, pay] = data.data.allTransactions.results;
+    expect(coffee.amount).toBe(-12.34);
+    expect(pay.amount).toBe(1250);
+    expect(data.data.aggregates[0].summary.savings).toBe(1243.83);
+    expect(data.data.aggregates[0].summary.savingsRate).toBe(0.995);
+  });
+
+  it('rewrites fetch responses from the GraphQL endpoint only', async () => {
+    const { window } = loadWithFetch({ MTM_OBF_ENGINE: 'graphql', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' });
+    const res = await window.fetch(GRAPHQL_URL, { method: 'POST', body: readBody() });
+    const json = await res.json();
+    expect(json.data.allTransactions.results[1].amount).toBe(5000);
+    expect(json.data.allTransactions.results[1].merchant.transactionsCount).toBe(6);
+    expect(res.headers.get('content-length')).toBeNull();
+
+    const other = await (await window.fetch('https://app.monarch.com/static/data.json', { method: 'POST', body: readBody() })).json();
+    expect(other.data.allTransactions.results[1].amount).toBe(2500);
+  });
+
+  it('leaves responses alone when masking is off or the DOM engine is selected', async () => {
+    for (const prefs of [{ MTM_OBF_ENGINE: 'graphql', MT_HideSensitiveInfo: '0' }, { MTM_OBF_ENGINE: 'dom' }]) {
+      const { window } = loadWithFetch(prefs);
+      const json = await (await window.fetch(GRAPHQL_URL, { method: 'POST', body: readBody() })).json();
+      expect(json, JSON.stringify(prefs)).toEqual(fixture('transactions'));
+    }
+  });
+
+  it('matches money fields on their parent type, not on the bare field name', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_ENGINE: 'graphql', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' } });
+    const data = {
+      data: {
+        page: { limit: 50, offset: 100, __typename: 'PageInfo' },
+        rule: { amount: 25, value: 3, __typename: 'TransactionRule' },
+        untyped: { amount: 40, balance: 70 },
+        account: { currentBalance: 10, limit: 300, __typename: 'Account' },
+      },
+    };
+    expect(api.maskGraphqlData(data)).toBe(2);
+    expect(data.data.page).toEqual({ limit: 50, offset: 100, __typename: 'PageInfo' });
+    expect(data.data.rule).toEqual({ amount: 25, value: 3, __typename: 'TransactionRule' });
+    expect(data.data.untyped).toEqual({ amount: 40, balance: 70 });
+    expect(data.data.account).toEqual({ currentBalance: 20, limit: 600, __typename: 'Account' });
+  });
+
+  it('never rewrites mutations, edit-form queries or requests it cannot identify', async () => {
+    const { window } = loadWithFetch({ MTM_OBF_ENGINE: 'graphql', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' });
+    const bodies = [
+      undefined,
+      JSON.stringify({ query: '{ allTransactions { totalCount } }' }),
+      JSON.stringify({ operationName: 'Common_UpdateTransactionMutation', query: 'mutation Common_UpdateTransactionMutation($input: UpdateTransactionMutationInput!) { updateTransaction(input: $input) { transaction { id amount } } }' }),
+      JSON.stringify({ operationName: 'Web_SaveSplits', query: '# splits\nmutation Web_SaveSplits { saveSplits { id } }' }),
+      readBody('GetTransactionDrawer'),
+      readBody('Web_GetEditAccountForm'),
+      JSON.stringify([JSON.parse(readBody()), JSON.parse(readBody('GetTransactionDrawer'))]),
+    ];
+    for (const body of bodies) {
+      const json = await (await window.fetch(GRAPHQL_URL, { method: 'POST', body })).json();
+      expect(json, String(body)).toEqual(fixture('transactions'));
+    }
+    const batched = JSON.stringify([JSON.parse(readBody()), JSON.parse(readBody('Web_GetAccounts'))]);
+    const json = await (await window.fetch(GRAPHQL_URL, { method: 'POST', body: batched })).json();
+    expect(json.data.allTransactions.results[1].amount).toBe(5000);
+  });
+
+  it('matches skipped operations by whole words, so reads that merely contain one are still masked', async () => {
+    const { window } = loadWithFetch({ MTM_OBF_ENGINE: 'graphql', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' });
+    for (const name of ['Web_GetInvestmentsPerformance', 'Common_GetPlatformInfo', 'GetLastUpdated', 'Web_GetInformationalBanner']) {
+      const json = await (await window.fetch(GRAPHQL_URL, { method: 'POST', body: readBody(name) })).json();
+      expect(json.data.allTransactions.results[1].amount, name).toBe(5000);
+    }
+    for (const name of ['Web_GetEditAccountForm', 'GetTransactionDrawer', 'Web_TransactionRules', 'CreateGoalModal']) {
+      const json = await (await window.fetch(GRAPHQL_URL, { method: 'POST', body: readBody(name) })).json();
+      expect(json, name).toEqual(fixture('transactions'));
+    }
+  });
+
+  it('masks XHR responseText and json responses', () => {
+    const body = JSON.stringify(fixture('accounts'));
+    const { window } = loadUserscript({
+      prefs: { MTM_OBF_ENGINE: 'both', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' },
+      beforeLoad(window) {
+        // Minimal stand-in: response accessors live on the prototype like the real XMLHttpRequest.
+        class FakeXHR {
+          open(method, url) { this.url = url; }
+          send() { this.readyState = 4; }
+          get responseText() { return body; }
+          get response() { return this.responseType === 'json' ? (this.json ||= JSON.parse(body)) : body; }
+        }
+        window.XMLHttpRequest = FakeXHR;
+      },
+    });
+    const xhr = new window.XMLHttpRequest();
+    xhr.open('POST', GRAPHQL_URL);
+    xhr.send(readBody('Web_GetAccounts'));
+    expect(JSON.parse(xhr.responseText).data.accounts[0].currentBalance).toBe(8402.56);
+
+    const jsonXhr = new window.XMLHttpRequest();
+    jsonXhr.responseType = 'json';
+    jsonXhr.open('POST', GRAPHQL_URL);
+    jsonXhr.send(readBody('Web_GetAccounts'));
+    expect(jsonXhr.response.data.accounts[1].limit).toBe(24000);
+    expect(jsonXhr.response.data.accounts[1].limit).toBe(24000);
+
+    const formXhr = new window.XMLHttpRequest();
+    formXhr.open('POST', GRAPHQL_URL);
+    formXhr.send(readBody('Web_GetEditAccountForm'));
+    expect(JSON.parse(formXhr.responseText).data.accounts[0].currentBalance).toBe(4201.28);
+  });
+
+  it('graphql-only engine leaves the DOM unwrapped', () => {
+    const { document, api } = loadUserscript({
+      prefs: { MTM_OBF_ENGINE: 'graphql' },
+      body: '<main><span id="v" class="fs-exclude">$12.00</span></main>',
+    });
+    expect(api.isActive()).toBe(false);
+    api.scanAndWrap();
+    api.applyState();
+    expect(document.querySelector('#v .mtm-amount')).toBeNull();
+    expect(document.body.classList.contains('mt-obfuscate-on')).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '..', '..');
+
+const USERSCRIPT_PATH = path.join(repoRoot, 'MonarchMoneyObfuscate.user.js');
+const userscriptText = readFileSync(USERSCRIPT_PATH, 'utf8');
+
+// Loads the userscript in test mode against a small hand-written DOM (for focused unit-style tests).
+// `prefs` are written to localStorage before evaluation; masking is ON unless overridden.
+// `beforeLoad(window)` runs just before evaluation, e.g. to stub browser APIs the script captures at load.
+export function loadUserscript({ routePath = '/dashboard', body = '<main></main>', prefs = {}, beforeLoad } = {}) {
+  const dom = new JSDOM(`<!doctype html><html><head></head><body>${body}</body></html>`, {
+    url: `https://app.monarch.com${routePath}`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  window.__MTM_OBF_TEST__ = true;
+  const allPrefs = { MT_HideSensitiveInfo: '1', ...prefs };
+  for (const [key, value] of Object.entries(allPrefs)) window.localStorage.setItem(key, String(value));
+  if (beforeLoad) beforeLoad(window);
+  window.eval(userscriptText);
+  return { dom, window, document: window.document, api: window.MTM_OBF_TEST_API };
+}
+
+// Resolves after `count` animation frames so rAF-batched queue processing can drain.
+export function flushFrames(window, count = 2) {
+  return new Promise((resolve) => {
+    let left = count;
+    const step = () => {
+      left -= 1;
+      if (left <= 0) resolve();
+      else window.requestAnimationFrame(step);
+    };
+    window.requestAnimationFrame(step);
+  });
+}
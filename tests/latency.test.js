@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { loadUserscript } from './helpers/userscript.js';
+
+// p90 time-to-mask budget in ms. JSDOM runs far slower than a browser (~500ms here), so this is a regression
+// ceiling rather than a real-world target; override with MTM_LATENCY_BUDGET_MS.
+const BUDGET_MS = Number(process.env.MTM_LATENCY_BUDGET_MS || 1500);
+const ROWS = 100;
+
+function syntheticRows(start, count) {
+  let html = '';
+  for (let i = start; i < start + count; i++) {
+    html += `<div class="TransactionsList__Row-sc-1"><span class="fs-exclude">Merchant ${i}</span>`
+      + `<span class="fs-exclude" data-row="${i}">-$${(i * 7.31).toFixed(2)}</span></div>`;
+  }
+  return html;
+}
+
+async function waitFor(window, done, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!done()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out waiting for masking');
+    await new Promise((r) => window.requestAnimationFrame(r));
+  }
+}
+
+describe('MonarchMoneyObfuscate userscript - time-to-mask latency', () => {
+  it(`masks ${ROWS} injected rows within the latency budget and reports percentiles`, async () => {
+    const { window, document } = loadUserscript({ routePath: '/transactions', body: '<main><div id="list"></div></main>' });
+    window.MTM_startObserver();
+    const list = document.getElementById('list');
+    // Inject in batches, the way a virtualized list renders pages of rows.
+    for (let start = 0; start < ROWS; start += 25) {
+      list.insertAdjacentHTML('beforeend', syntheticRows(start, 25));
+      await new Promise((r) => window.requestAnimationFrame(r));
+    }
+    await waitFor(window, () => document.querySelectorAll('[data-row] .mtm-amount').length === ROWS);
+    window.MTM_stopObserver();
+
+    const { latency } = window.MTM_OBF_STATS;
+    expect(latency.count).toBe(ROWS);
+    expect(latency.p50).toBeLessThanOrEqual(latency.p90);
+    expect(latency.p90).toBeLessThanOrEqual(latency.p99);
+    expect(latency.p99).toBeLessThanOrEqual(latency.max);
+    expect(latency.p90, `p90 ${latency.p90}ms over the ${BUDGET_MS}ms budget`).toBeLessThan(BUDGET_MS);
+  });
+
+  it('does not count values masked by a full scan (no mutation to time from)', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: `<main>${syntheticRows(0, 5)}</main>` });
+    api.scanAndWrap();
+    await waitFor(window, () => document.querySelectorAll('[data-row] .mtm-amount').length === 5);
+    expect(window.MTM_OBF_STATS.latency).toBeUndefined();
+  });
+});
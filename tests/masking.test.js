@@ -0,0 +1,1289 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadUserscript, flushFrames } from './helpers/userscript.js';
+
+describe('MonarchMoneyObfuscate userscript - masking', () => {
+  describe('multi-currency detection', () => {
+    it('keeps the currency marker and sign while hiding digits', () => {
+      const { api } = loadUserscript();
+      expect(api.maskMoneyValue('$4,201.28')).toBe('$*,***.**');
+      expect(api.maskMoneyValue('-$150.00')).toBe('-$*,***.**');
+      expect(api.maskMoneyValue('($99.00)')).toBe('($*,***.**)');
+      expect(api.maskMoneyValue('CA$1,234.56')).toBe('CA$*,***.**');
+      expect(api.maskMoneyValue('£12.50')).toBe('£*,***.**');
+      expect(api.maskMoneyValue('¥3,400')).toBe('¥*,***.**');
+      expect(api.maskMoneyValue('EUR 99.10')).toBe('EUR *,***.**');
+    });
+
+    it('handles suffix markers with locale-specific separators', () => {
+      const { api } = loadUserscript();
+      expect(api.maskMoneyValue('1.234,56 €')).toBe('*.***,** €');
+      expect(api.maskMoneyValue('-12,00 €')).toBe('-*.***,** €');
+      expect(api.maskMoneyValue('1 234,56 CHF')).toBe('* ***,** CHF');
+      expect(api.maskMoneyValue('12,34 $')).toBe('*.***,** $');
+    });
+
+    it('leaves words that merely contain a currency code alone', () => {
+      const { api } = loadUserscript();
+      expect(api.maskMoneyValue('CADENCE 12 items')).toBe('CADENCE 12 items');
+    });
+
+    it('does not join a prefix amount with a following space-separated number', () => {
+      const { api } = loadUserscript();
+      expect(api.maskMoneyValue('$500 100%')).toBe('$*,***.** 100%');
+      expect(api.maskMoneyValue('$5 100 items')).toBe('$*,***.** 100 items');
+      expect(api.maskMoneyValue('$12 345')).toBe('$*,***.** 345');
+      expect(api.maskMoneyValue('$1\u00a0234.56')).toBe('$*\u00a0***.**');
+    });
+
+    it('needs a decimal part or a glued code before treating "<n> USD" as money', () => {
+      const { api } = loadUserscript();
+      expect(api.maskMoneyValue('Top 3 USD accounts')).toBe('Top 3 USD accounts');
+      expect(api.maskMoneyValue('12 CHF')).toBe('12 CHF');
+      expect(api.maskMoneyValue('12,50 CHF')).toBe('*.***,** CHF');
+      expect(api.maskMoneyValue('12USD')).toBe('*,***.**USD');
+    });
+
+    it('wraps prefix, suffix and split-node amounts in the DOM', () => {
+      const { document, api } = loadUserscript({
+        body: '<main>'
+          + '<span id="eur" class="fs-exclude">Balance 1.234,56 €</span>'
+          + '<span id="gbp" class="fs-exclude">£99.00</span>'
+          + '<div id="split" class="fs-exclude"><span>€</span><span>5,00</span></div>'
+          + '</main>',
+      });
+      for (const id of ['eur', 'gbp', 'split']) {
+        expect(api.wrapFirstAmount(document.getElementById(id)), id).toBe(true);
+      }
+      const eur = document.querySelector('#eur .mtm-amount');
+      expect(eur.dataset.originalText).toBe('1.234,56 €');
+      expect(eur.textContent).toBe('*.***,** €');
+      expect(document.querySelector('#gbp .mtm-amount').textContent).toBe('£*,***.**');
+      expect(document.querySelector('#split .mtm-amount').dataset.originalText).toBe('€5,00');
+    });
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - plain amount recognizer', () => {
+  it('recognizes ungrouped amounts under 1,000 but not counts, years or dates', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><div class="TransactionsList__Root"><span id="row">x</span></div></main>',
+    });
+    expect(api.hasMaskableText('622.26', document.getElementById('row'))).toBe(true);
+    expect(api.hasMaskableText('7,622.26')).toBe(true);
+    expect(api.hasMaskableText('3 accounts')).toBe(false);
+    expect(api.hasMaskableText('Since 2024')).toBe(false);
+    expect(api.hasMaskableText('12.05.2024')).toBe(false);
+    expect(api.hasMaskableText('Up 23.40%')).toBe(false);
+    expect(api.maskMoneyValue('Paid 622.26 on 12.05.2024')).toBe('Paid *,***.** on 12.05.2024');
+  });
+
+  it('follows the MTM_OBF_LOCALE setting for grouping and decimals', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_LOCALE: 'de-DE' } });
+    expect(api.maskMoneyValue('Saldo 1.234,56')).toBe('Saldo *.***,**');
+    expect(api.maskMoneyValue('Rest 12,50')).toBe('Rest *.***,**');
+    // Monarch's own en-US formatting keeps working regardless of locale.
+    expect(api.maskMoneyValue('7,622.26')).toBe('*,***.**');
+    expect(api.hasMaskableText('23,40 %')).toBe(false);
+  });
+
+  it('handles space and apostrophe grouping', () => {
+    const fr = loadUserscript({ prefs: { MTM_OBF_LOCALE: 'fr-FR' } }).api;
+    expect(fr.maskMoneyValue('Solde 12 345,67')).toBe('Solde * ***,**');
+    const ch = loadUserscript({ prefs: { MTM_OBF_LOCALE: 'de-CH' } }).api;
+    expect(ch.maskMoneyValue('Saldo 12’345.67')).toBe('Saldo *’***.**');
+  });
+
+  it('wraps plain amounts found in text nodes', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><div class="PlanSummaryWidget__Root"><span id="v" class="fs-exclude">Remaining 48.10 of 3 budgets</span></div></main>',
+    });
+    expect(api.wrapAllAmounts(document.getElementById('v'))).toBe(1);
+    expect(document.querySelector('#v .mtm-amount').dataset.originalText).toBe('48.10');
+  });
+
+  it('needs a money surface before an ungrouped two-decimal number counts as an amount', () => {
+    const { document, api } = loadUserscript({
+      body: '<main>'
+        + '<span id="version" class="fs-exclude">Version 1.10</span>'
+        + '<span id="rating" class="fs-exclude">Rating 4.75</span>'
+        + '<span id="shares" class="fs-exclude">12.50 shares</span>'
+        + '<span id="pi" class="fs-exclude">3.14</span>'
+        + '<span id="grouped" class="fs-exclude">Total 7,622.26</span>'
+        + '<div class="InvestmentsHoldings__Root"><span id="held" class="fs-exclude">Value 12.50</span></div>'
+        + '</main>',
+    });
+    for (const id of ['version', 'rating', 'shares', 'pi']) {
+      const el = document.getElementById(id);
+      expect(api.hasMaskableText(el.textContent, el), id).toBe(false);
+      expect(api.wrapAllAmounts(el), id).toBe(0);
+    }
+    expect(api.wrapAllAmounts(document.getElementById('grouped'))).toBe(1);
+    expect(api.wrapAllAmounts(document.getElementById('held'))).toBe(1);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - mask styles', () => {
+  const cases = [
+    ['fixed', '$12.00', '$*,***.**'],
+    ['length', '$1,234.56', '$*,***.**'],
+    ['length', '-$12.00', '-$**.**'],
+    ['glyph', '$1,234.56', '$•••'],
+    ['glyph', '1.234,56 €', '••• €'],
+    ['placeholder', '$1,234.56', '[hidden]'],
+    ['blur', '$1,234.56', '$1,234.56'],
+  ];
+  for (const [style, input, expected] of cases) {
+    it(`${style}: ${input} -> ${expected}`, () => {
+      const { api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: style } });
+      expect(api.maskMoneyValue(input)).toBe(expected);
+    });
+  }
+
+  it('applyState re-renders wrapped values when the style changes', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><span id="v" class="fs-exclude">$12.00</span></main>',
+    });
+    api.wrapFirstAmount(document.getElementById('v'));
+    const span = document.querySelector('#v .mtm-amount');
+    expect(span.textContent).toBe('$*,***.**');
+
+    api.setPref('maskStyle', 'length');
+    expect(span.textContent).toBe('$**.**');
+
+    api.setPref('maskStyle', 'blur');
+    expect(span.textContent).toBe('$12.00');
+    expect(span.classList.contains('mtm-amount-blur')).toBe(true);
+
+    document.defaultView.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.applyState();
+    expect(span.classList.contains('mtm-amount-blur')).toBe(false);
+  });
+
+  it('uses a custom placeholder text', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'placeholder', MTM_OBF_MASK_PLACEHOLDER: '(private)' } });
+    expect(api.maskMoneyValue('Balance $5.00')).toBe('Balance (private)');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - demo mode', () => {
+  function demoApi(seed = '42') {
+    const loaded = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'demo' } });
+    loaded.window.sessionStorage.setItem('MTM_OBF_DEMO_SEED', seed);
+    return loaded;
+  }
+
+  it('maps a value to a stable fake of similar magnitude and the same format', () => {
+    const { api } = demoApi();
+    const fake = api.maskMoneyValue('$4,201.28');
+    expect(fake).toMatch(/^\$\d,\d{3}\.\d{2}$/);
+    expect(fake).not.toBe('$4,201.28');
+    expect(api.maskMoneyValue('$4,201.28')).toBe(fake);
+    // Same value in another format (plain/sign) renders the same digits.
+    expect(api.maskMoneyValue('4,201.28')).toBe(fake.slice(1));
+    expect(api.maskMoneyValue('-$4,201.28')).toBe(`-${fake}`);
+    expect(api.maskMoneyValue('4.201,28 €')).toMatch(/^\d\.\d{3},\d{2} €$/);
+  });
+
+  it('uses the session seed so different sessions get different fakes', () => {
+    const a = demoApi('1').api.maskMoneyValue('$98,765.43');
+    const b = demoApi('2').api.maskMoneyValue('$98,765.43');
+    expect(a).toMatch(/^\$\d{2},\d{3}\.\d{2}$/);
+    expect(b).toMatch(/^\$\d{2},\d{3}\.\d{2}$/);
+    expect(a).not.toBe(b);
+  });
+
+  it('renders the same fake for the same balance across wrapped nodes', () => {
+    const { document, api } = demoApi();
+    document.body.innerHTML = '<main><span id="a" class="fs-exclude">$1,250.00</span><div id="b" class="fs-exclude">Net worth $1,250.00</div></main>';
+    api.wrapFirstAmount(document.getElementById('a'));
+    api.wrapFirstAmount(document.getElementById('b'));
+    const [a, b] = Array.from(document.querySelectorAll('.mtm-amount'));
+    expect(a.textContent).toBe(b.textContent);
+    expect(a.dataset.originalText).toBe('$1,250.00');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - proportional scaling', () => {
+  it('multiplies amounts by the scale factor and keeps their format', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '0.37' } });
+    expect(api.maskMoneyValue('$1,000.00 of $4,000.00')).toBe('$370.00 of $1,480.00');
+    expect(api.maskMoneyValue('-$20.00')).toBe('-$7.40');
+    expect(api.maskMoneyValue('2.000,00 €')).toBe('740,00 €');
+  });
+
+  it('falls back to the fixed mask when no usable factor is set', () => {
+    for (const factor of ['', '1', 'abc', '-2']) {
+      const { api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: factor } });
+      expect(api.maskMoneyValue('$1,000.00'), factor).toBe('$*,***.**');
+    }
+  });
+
+  it('scales SVG chart labels and leaves input values untouched', () => {
+    const { document, api } = loadUserscript({
+      prefs: { MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' },
+      body: '<main><svg><text id="t">$500</text></svg><input id="i" value="$12.50"></main>',
+    });
+    api.applyState();
+    expect(document.getElementById('t').textContent).toBe('$1,000');
+    expect(document.getElementById('i').value).toBe('$12.50');
+    expect(document.getElementById('i').classList.contains('mtm-input-masked')).toBe(true);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - approximate precision', () => {
+  const cases = [
+    ['hundreds', '$4,201.28', '$4,2xx'],
+    ['hundreds', '$42.10', '<$100'],
+    ['hundreds', '-$1,999.99', '-$1,9xx'],
+    ['thousands', '$4,201.28', '~$4K'],
+    ['thousands', '$1,234,567.00', '~$1.2M'],
+    ['thousands', '$950.00', '<$1K'],
+    ['magnitude', '$4,201.28', '$1K–$10K'],
+    ['magnitude', '1.234,56 €', '1K €–10K €'],
+    ['exact', '$4,201.28', '$*,***.**'],
+    // Negative amounts keep their sign where the original had it, inside any qualifier or parentheses.
+    ['hundreds', '-$42.10', '>-$100'],
+    ['hundreds', '($42.10)', '(<$100)'],
+    ['hundreds', '$-1,999.99', '$-1,9xx'],
+    ['thousands', '-$4,201.28', '~-$4K'],
+    ['thousands', '($4,201.28)', '(~$4K)'],
+    ['thousands', '-$950.00', '>-$1K'],
+    ['magnitude', '-$4,201.28', '-$10K–-$1K'],
+    ['magnitude', '($4,201.28)', '($1K–$10K)'],
+    ['magnitude', '-12,00 €', '-100 €–-10 €'],
+  ];
+  for (const [precision, input, expected] of cases) {
+    it(`${precision}: ${input} -> ${expected}`, () => {
+      const { api } = loadUserscript({ prefs: { MTM_OBF_PRECISION: precision } });
+      expect(api.maskMoneyValue(input)).toBe(expected);
+    });
+  }
+
+  it('applyState re-renders wrapped values from their original text', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><span id="v" class="fs-exclude">$4,201.28</span></main>',
+    });
+    api.wrapFirstAmount(document.getElementById('v'));
+    api.setPref('precision', 'thousands');
+    const span = document.querySelector('#v .mtm-amount');
+    expect(span.textContent).toBe('~$4K');
+    expect(span.dataset.originalText).toBe('$4,201.28');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - percentages', () => {
+  it('leaves percentages alone unless the category is enabled', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><span id="v" class="fs-exclude">$1,234.56 (+23.4%)</span></main>',
+    });
+    expect(api.hasMaskableText('+23.4%')).toBe(false);
+    expect(api.wrapAllAmounts(document.getElementById('v'))).toBe(1);
+    expect(document.querySelector('#v').textContent).toContain('(+23.4%)');
+  });
+
+  it('wraps percentages as their own kind and masks them with the active style', () => {
+    const { document, api } = loadUserscript({
+      prefs: { MTM_OBF_MASK_PERCENT: '1' },
+      body: '<main><span id="v" class="fs-exclude">$1,234.56 (+23.4%)</span><div id="p" class="fs-exclude">-0.71%</div></main>',
+    });
+    expect(api.wrapAllAmounts(document.getElementById('v'))).toBe(2);
+    expect(api.wrapAllAmounts(document.getElementById('p'))).toBe(1);
+    const pct = document.querySelector('#v .mtm-amount[data-mtm-kind="percent"]');
+    expect(pct.dataset.originalText).toBe('+23.4%');
+    expect(pct.textContent).toBe('+**.*%');
+    expect(document.querySelector('#p .mtm-amount').textContent).toBe('-**.*%');
+    expect(api.maskPercentValue('12,5 %')).toBe('**.* %');
+
+    // Turning the category off restores percentages but keeps money masked.
+    api.setPref('maskPercent', '0');
+    expect(pct.textContent).toBe('+23.4%');
+    expect(document.querySelector('#v .mtm-amount:not([data-mtm-kind])').textContent).toBe('$*,***.**');
+
+    // Turning masking off restores everything.
+    api.setPref('maskPercent', '1');
+    document.defaultView.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.applyState();
+    expect(pct.textContent).toBe('+23.4%');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - abbreviated amounts and sign positions', () => {
+  it('covers K/M/B suffixes and sign variants in the masked token', () => {
+    const { api } = loadUserscript();
+    expect(api.maskMoneyValue('$1.2K')).toBe('$*,***.**');
+    expect(api.maskMoneyValue('Net worth $3.4M')).toBe('Net worth $*,***.**');
+    expect(api.maskMoneyValue('+$5.00')).toBe('+$*,***.**');
+    expect(api.maskMoneyValue('$-5.00')).toBe('$-*,***.**');
+    expect(api.maskMoneyValue('- $5.00')).toBe('-$*,***.**');
+    expect(api.maskMoneyValue('(+ $1.5B)')).toBe('(+$*,***.**)');
+    expect(api.maskMoneyValue('5 min')).toBe('5 min');
+  });
+
+  it('keeps the magnitude where the style preserves shape or value', () => {
+    expect(loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'length' } }).api.maskMoneyValue('$1.2K')).toBe('$*.*K');
+    expect(loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' } }).api.maskMoneyValue('$1.2K')).toBe('$2.4K');
+    expect(loadUserscript({ prefs: { MTM_OBF_PRECISION: 'thousands' } }).api.maskMoneyValue('$3.4M')).toBe('~$3.4M');
+  });
+
+  it('wraps the whole token in HTML text, suffix and sign included', () => {
+    const { document, api } = loadUserscript({
+      body: '<main><span id="a" class="fs-exclude">Up $1.2K this month</span><span id="b" class="fs-exclude">Change: + $40.00</span>'
+        + '<div id="c" class="fs-exclude"><span>$</span><span>3.4M</span></div></main>',
+    });
+    for (const id of ['a', 'b', 'c']) api.wrapFirstAmount(document.getElementById(id));
+    const spans = Array.from(document.querySelectorAll('.mtm-amount'));
+    expect(spans.map((s) => s.dataset.originalText)).toEqual(['$1.2K', '+ $40.00', '$3.4M']);
+    expect(document.getElementById('a').textContent).not.toMatch(/\dK|K this/);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - amount thresholds', () => {
+  it('masks only amounts at or above the shared threshold', () => {
+    const { api } = loadUserscript({ prefs: { MTM_OBF_THRESHOLD: '100' } });
+    expect(api.maskMoneyValue('Coffee -$4.50')).toBe('Coffee -$4.50');
+    expect(api.maskMoneyValue('Rent -$100.00')).toBe('Rent -$*,***.**');
+    expect(api.maskMoneyValue('$1.2K')).toBe('$*,***.**');
+  });
+
+  it('applies separate income and expense thresholds', () => {
+    const { api } = loadUserscript({
+      prefs: { MTM_OBF_THRESHOLD: '1000', MTM_OBF_THRESHOLD_EXPENSE: '50' },
+    });
+    expect(api.maskMoneyValue('-$75.00')).toBe('-$*,***.**');
+    expect(api.maskMoneyValue('($75.00)')).toBe('($*,***.**)');
+    expect(api.maskMoneyValue('+$75.00')).toBe('+$75.00');
+    expect(api.maskMoneyValue('$2,500.00')).toBe('$*,***.**');
+  });
+
+  it('re-evaluates wrapped amounts when the threshold changes', () => {
+    const { document, api } = loadUserscript({
+      prefs: { MTM_OBF_MASK_STYLE: 'blur' },
+      body: '<main><span id="v" class="fs-exclude">-$4.50</span></main>',
+    });
+    api.wrapFirstAmount(document.getElementById('v'));
+    const span = document.querySelector('#v .mtm-amount');
+    expect(span.classList.contains('mtm-amount-blur')).toBe(true);
+
+    api.setPref('threshold', '10');
+    expect(span.classList.contains('mtm-amount-blur')).toBe(false);
+
+    api.setPref('maskStyle', 'fixed');
+    expect(span.textContent).toBe('-$4.50');
+    api.setPref('threshold', '');
+    expect(span.textContent).toBe('-$*,***.**');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - per-surface rules', () => {
+  const body = '<main>'
+    + '<div class="AccountNetWorthCharts__Root-sc-1"><span id="nw" class="fs-exclude">$250,000.00</span></div>'
+    + '<div class="AccountListItem__Root-sc-2"><span id="acct" class="fs-exclude">$1,200.00</span></div>'
+    + '</main>';
+
+  it('scans skip surfaces set to clear and mask the rest', async () => {
+    const { window, document, api } = loadUserscript({
+      routePath: '/accounts',
+      body,
+      prefs: { MTM_OBF_SURFACE_ACCOUNTBALANCES: 'clear' },
+    });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('#nw .mtm-amount')).toBeTruthy();
+    expect(document.querySelector('#acct .mtm-amount')).toBeNull();
+    expect(document.getElementById('acct').textContent).toBe('$1,200.00');
+  });
+
+  it('switching a surface to clear reveals its wrapped values; back to mask re-masks', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/accounts', body });
+    api.scanAndWrap();
+    await flushFrames(window);
+    const nw = document.querySelector('#nw .mtm-amount');
+    expect(nw.textContent).toBe('$*,***.**');
+
+    api.setPref('surface.netWorth', 'clear');
+    expect(nw.textContent).toBe('$250,000.00');
+    expect(document.querySelector('#acct .mtm-amount').textContent).toBe('$*,***.**');
+
+    api.setPref('surface.netWorth', 'mask');
+    expect(nw.textContent).toBe('$*,***.**');
+  });
+
+  it('falls back to the route when no surface selector matches', () => {
+    const { document, api } = loadUserscript({
+      routePath: '/transactions',
+      body: '<main><span id="t" class="fs-exclude">-$12.00</span></main>',
+    });
+    expect(api.surfaceOf(document.getElementById('t'))).toBe('transactions');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - portal roots', () => {
+  const drawer = '<div id="side-drawer-root"><div class="Drawer__Body-sc-1">'
+    + '<span id="bal">Balance $4,321.00</span>'
+    + '<input id="amt" value="$50.00"><button id="btn">Pay $50.00</button>'
+    + '</div></div>';
+
+  it('scans portal roots already on the page without touching their form controls', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: '<main></main>' + drawer });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('#bal .mtm-amount').textContent).toBe('$*,***.**');
+    expect(document.getElementById('btn').innerHTML).toBe('Pay $50.00');
+    expect(document.getElementById('amt').querySelector('.mtm-amount')).toBeNull();
+  });
+
+  it('observes dialogs mounted after start and masks content rendered into them later', async () => {
+    const { window, document } = loadUserscript({ routePath: '/accounts', body: '<main></main>' });
+    window.MTM_startObserver();
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.innerHTML = '<p id="d1">Transfer $900.00</p>';
+    document.body.appendChild(dialog);
+    await flushFrames(window, 3);
+    expect(document.querySelector('#d1 .mtm-amount').textContent).toBe('$*,***.**');
+
+    const step = document.createElement('div');
+    step.innerHTML = '<span id="d2">Fee $2.50</span>';
+    dialog.appendChild(step);
+    await flushFrames(window, 3);
+    expect(document.querySelector('#d2 .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - route rules', () => {
+  it('applies a rule added to the table in both the scan and the observer', async () => {
+    const { window, document, api } = loadUserscript({
+      routePath: '/investments',
+      body: '<main><div class="Holding__Row-sc-1"><span id="h1" class="Holding__Value-sc-2">$8,120.00</span></div></main>',
+    });
+    api.cfg.routeRules.push({ name: 'holdings', route: /^\/investments(?:\/|$)/, selectors: ['[class*="Holding__Value-"]'] });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('#h1 .mtm-amount').textContent).toBe('$*,***.**');
+
+    window.MTM_startObserver();
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<span id="h2" class="Holding__Value-sc-2">$310.00</span>');
+    await flushFrames(window, 3);
+    expect(document.querySelector('#h2 .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+
+  it('masks account card values rendered after start (observer uses the same rule as the scan)', async () => {
+    const { window, document } = loadUserscript({ routePath: '/accounts', body: '<main></main>' });
+    window.MTM_startObserver();
+    document.querySelector('main').innerHTML = '<div class="Card__CardRoot-sc-1"><div id="v" class="Summary__SummaryValue">$12,000.00</div></div>';
+    await flushFrames(window, 3);
+    expect(document.querySelector('#v .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+
+  it('resolves plan-table amounts split across sibling nodes on scan and on mutation', async () => {
+    const cell = (id) => `<td id="${id}"><span>$</span><span>1,250</span></td>`;
+    const { window, document, api } = loadUserscript({ routePath: '/plan', body: `<main><table><tr>${cell('c1')}</tr></table></main>` });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.getElementById('c1').textContent).not.toContain('1,250');
+
+    window.MTM_startObserver();
+    document.querySelector('tr').insertAdjacentHTML('beforeend', cell('c2'));
+    await flushFrames(window, 3);
+    expect(document.getElementById('c2').textContent).not.toContain('1,250');
+    window.MTM_stopObserver();
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - settings', () => {
+  const storedConfig = (window) => JSON.parse(window.localStorage.getItem('MTM_OBF_CONFIG'));
+
+  it('migrates the per-option keys into one versioned settings object', () => {
+    const { window, api } = loadUserscript({
+      prefs: { MTM_OBF_MASK_STYLE: 'length', MTM_OBF_DEBUG: '1', MTM_OBF_SURFACE_GOALS: 'clear', MTM_OBF_THRESHOLD: 'lots' },
+    });
+    const config = storedConfig(window);
+    expect(config).toMatchObject({ version: 1, maskStyle: 'length', debug: '1', 'surface.goals': 'clear', threshold: '', reveal: 'hover', 'route.plan': '1' });
+    expect(api.getPref('maskStyle')).toBe('length');
+    for (const key of ['MTM_OBF_MASK_STYLE', 'MTM_OBF_DEBUG', 'MTM_OBF_SURFACE_GOALS', 'MTM_OBF_THRESHOLD']) {
+      expect(window.localStorage.getItem(key), key).toBeNull();
+    }
+    // The on/off toggle keeps its own key.
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+  });
+
+  it('validates a stored settings object and drops unknown keys', () => {
+    const { window, api } = loadUserscript({
+      prefs: {
+        MTM_OBF_CONFIG: JSON.stringify({ version: 1, maskStyle: 'sparkles', reveal: 'click', scaleFactor: 2, favoriteColor: 'blue' }),
+        MTM_OBF_MASK_STYLE: 'glyph',
+      },
+    });
+    expect(api.getPref('maskStyle')).toBe('fixed');
+    expect(api.getPref('reveal')).toBe('click');
+    expect(api.getPref('scaleFactor')).toBe('2');
+    expect(storedConfig(window)).not.toHaveProperty('favoriteColor');
+    expect(api.setPref('reveal', 'wiggle')).toBe(false);
+    expect(api.getPref('reveal')).toBe('click');
+  });
+
+  it('applies panel changes at once and rejects invalid input', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: '<main><span id="v" class="fs-exclude">$12.00</span></main>' });
+    api.scanAndWrap();
+    await flushFrames(window);
+    const panel = api.openSettings();
+    expect(panel.getAttribute('role')).toBe('dialog');
+
+    const style = panel.querySelector('[data-mtm-pref="maskStyle"]');
+    style.value = 'length';
+    style.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(document.querySelector('#v .mtm-amount').textContent).toBe('$**.**');
+    expect(storedConfig(window).maskStyle).toBe('length');
+
+    const threshold = panel.querySelector('[data-mtm-pref="threshold"]');
+    threshold.value = 'a lot';
+    threshold.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(threshold.getAttribute('aria-invalid')).toBe('true');
+    expect(api.getPref('threshold')).toBe('');
+  });
+
+  it('restores the original page when its route is switched off', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: '<main><span id="v" class="fs-exclude">$12.00</span></main>' });
+    api.scanAndWrap();
+    await flushFrames(window);
+    const route = api.openSettings().querySelector('[data-mtm-pref="route.transactions"]');
+    expect(route.checked).toBe(true);
+    route.checked = false;
+    route.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(api.isActive()).toBe(false);
+    expect(document.getElementById('v').innerHTML).toBe('$12.00');
+  });
+
+  it('reveals on click only in click mode, and never when reveal is off', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: '<main><span id="v" class="fs-exclude">$12.00</span></main>' });
+    api.scanAndWrap();
+    await flushFrames(window);
+    const amount = document.querySelector('#v .mtm-amount');
+    const event = (type) => ({ type, target: amount, preventDefault: vi.fn(), stopPropagation: vi.fn() });
+
+    api.revealEvent(event('click'));
+    expect(amount.textContent).toBe('$*,***.**');
+
+    api.setPref('reveal', 'click');
+    const click = event('click');
+    api.revealEvent(click);
+    expect(amount.textContent).toBe('$12.00');
+    expect(click.preventDefault).toHaveBeenCalled();
+    api.revealEvent(event('click'));
+    expect(amount.textContent).toBe('$*,***.**');
+
+    api.setPref('reveal', 'off');
+    api.revealEvent(event('mouseenter'));
+    api.revealEvent(event('click'));
+    expect(amount.textContent).toBe('$*,***.**');
+    expect(document.body.classList.contains('mtm-reveal-hover')).toBe(false);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - settings export and import', () => {
+  it('round-trips the whole config, including extra selectors and profiles', () => {
+    const source = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'glyph', MTM_OBF_THRESHOLD: '100' } });
+    source.api.setPref('route.plan', '0');
+    source.window.MTM_OBF_SAVE_PROFILE('screen share');
+    source.api.setPref('maskStyle', 'blur');
+    expect(source.api.importConfig(JSON.stringify({ ...JSON.parse(source.api.exportConfig()), extraSelectors: ['[class*="Widget__Amount-"]'] })).ok).toBe(true);
+    const exported = source.api.exportConfig();
+
+    const target = loadUserscript();
+    expect(target.api.importConfig(exported)).toEqual({ ok: true, errors: [] });
+    expect(JSON.parse(target.api.exportConfig())).toEqual(JSON.parse(exported));
+    expect(JSON.parse(target.window.localStorage.getItem('MTM_OBF_CONFIG'))).toEqual(JSON.parse(exported));
+    expect(target.api.getPref('maskStyle')).toBe('blur');
+    expect(target.api.getPref('route.plan')).toBe('0');
+
+    expect(target.window.MTM_OBF_APPLY_PROFILE('screen share')).toBe(true);
+    expect(target.api.getPref('maskStyle')).toBe('glyph');
+    expect(target.api.getPref('threshold')).toBe('100');
+    expect(target.window.MTM_OBF_APPLY_PROFILE('nope')).toBe(false);
+  });
+
+  it('rejects unknown keys, invalid values and bad selectors without changing anything', () => {
+    const { window, api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'length' } });
+    const before = window.localStorage.getItem('MTM_OBF_CONFIG');
+    const res = api.importConfig(JSON.stringify({
+      version: 1,
+      maskStyle: 'sparkles',
+      favoriteColor: 'blue',
+      extraSelectors: ['.ok', 'div[['],
+      profiles: { work: { maskStyle: 'blur', theme: 'dark' } },
+    }));
+    expect(res.ok).toBe(false);
+    expect(res.errors).toEqual([
+      'invalid value for "maskStyle": "sparkles" (expected one of fixed, length, glyph, placeholder, blur, demo, scale)',
+      'unknown key "favoriteColor"',
+      'extraSelectors[1]: invalid selector "div[["',
+      'profiles["work"]: unknown key "theme"',
+    ]);
+    expect(api.importConfig('{ nope').errors[0]).toMatch(/^not valid JSON/);
+    expect(api.importConfig('{"version":2}').errors).toEqual(['unsupported version 2 (expected 1)']);
+    expect(window.localStorage.getItem('MTM_OBF_CONFIG')).toBe(before);
+    expect(api.getPref('maskStyle')).toBe('length');
+  });
+
+  it('masks hosts matched by extra selectors on scan and on mutation', async () => {
+    const { window, document, api } = loadUserscript({
+      routePath: '/transactions',
+      body: '<main><div class="MyWidget__Amount-sc-1" id="w1">$4,200.00</div></main>',
+    });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('#w1 .mtm-amount')).toBeNull();
+
+    const panel = api.openSettings();
+    const selectors = panel.querySelector('[data-mtm-config="extraSelectors"]');
+    selectors.value = 'div[[';
+    selectors.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(selectors.getAttribute('aria-invalid')).toBe('true');
+    expect(panel.querySelector('.mtm-settings-status').textContent).toBe('Invalid selector: div[[');
+
+    selectors.value = '[class*="MyWidget__Amount-"]\n';
+    selectors.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await flushFrames(window);
+    expect(document.querySelector('#w1 .mtm-amount').textContent).toBe('$*,***.**');
+
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<div class="MyWidget__Amount-sc-1" id="w2">$12.00</div>');
+    await flushFrames(window, 3);
+    expect(document.querySelector('#w2 .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+
+  it('imports pasted JSON from the panel and lists the errors when it is rejected', async () => {
+    let clipboard = JSON.stringify({ version: 1, maskStyle: 'length', extraSelectors: ['..bad'] });
+    const { window, api } = loadUserscript({
+      beforeLoad(window) {
+        Object.defineProperty(window.navigator, 'clipboard', { value: { readText: async () => clipboard } });
+      },
+    });
+    const panel = api.openSettings();
+    const paste = panel.querySelector('[data-mtm-action="import-paste"]');
+    const status = panel.querySelector('.mtm-settings-status');
+
+    paste.click();
+    await new Promise((r) => setTimeout(r, 0));
+    expect(status.textContent).toBe('Import failed:\nextraSelectors[0]: invalid selector "..bad"');
+    expect(status.classList.contains('mtm-settings-error')).toBe(true);
+
+    clipboard = JSON.stringify({ version: 1, maskStyle: 'length' });
+    paste.click();
+    await new Promise((r) => setTimeout(r, 0));
+    expect(status.textContent).toBe('Settings imported.');
+    expect(panel.querySelector('[data-mtm-pref="maskStyle"]').value).toBe('length');
+    expect(window.MTM_OBF_EXPORT_CONFIG()).toContain('"maskStyle": "length"');
+  });
+
+  it('"Reset options" restores every option but keeps extra selectors and profiles', () => {
+    const { window, api } = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'glyph' } });
+    window.MTM_OBF_SAVE_PROFILE('screen share');
+    expect(api.importConfig(JSON.stringify({ ...JSON.parse(api.exportConfig()), extraSelectors: ['.MyWidget'] })).ok).toBe(true);
+    const panel = api.openSettings();
+    const reset = panel.querySelector('.mtm-settings-reset');
+    expect(reset.textContent).toBe('Reset options');
+    // One storage write, so other tabs re-render once rather than once per option.
+    const writes = [];
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = function (key, value) { writes.push(key); return setItem.call(this, key, value); };
+    try { reset.click(); } finally { window.Storage.prototype.setItem = setItem; }
+    expect(writes.filter((key) => key === 'MTM_OBF_CONFIG')).toHaveLength(1);
+    const config = JSON.parse(api.exportConfig());
+    expect(api.getPref('maskStyle')).toBe('fixed');
+    expect(panel.querySelector('[data-mtm-pref="maskStyle"]').value).toBe('fixed');
+    expect(config.extraSelectors).toEqual(['.MyWidget']);
+    expect(Object.keys(config.profiles)).toEqual(['screen share']);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - GM storage', () => {
+  // Stands in for Tampermonkey's granted GM_getValue/GM_setValue.
+  function gmStore(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    return {
+      values,
+      install(window) {
+        window.GM_getValue = (key, def) => (values.has(key) ? values.get(key) : def);
+        window.GM_setValue = (key, value) => { values.set(key, value); };
+      },
+    };
+  }
+
+  it('moves localStorage prefs into GM storage once and writes there afterwards', () => {
+    const gm = gmStore();
+    const { window, api } = loadUserscript({
+      prefs: { MTM_OBF_CONFIG: JSON.stringify({ version: 1, maskStyle: 'glyph' }) },
+      beforeLoad: gm.install,
+    });
+    expect(gm.values.get('MT_HideSensitiveInfo')).toBe('1');
+    expect(JSON.parse(gm.values.get('MTM_OBF_CONFIG')).maskStyle).toBe('glyph');
+    expect(gm.values.get('MTM_OBF_STORAGE')).toBe('gm');
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBeNull();
+    expect(window.localStorage.getItem('MTM_OBF_CONFIG')).toBeNull();
+    expect(api.isActive()).toBe(true);
+
+    api.setPref('maskStyle', 'length');
+    expect(JSON.parse(gm.values.get('MTM_OBF_CONFIG')).maskStyle).toBe('length');
+    expect(window.localStorage.getItem('MTM_OBF_CONFIG')).toBeNull();
+  });
+
+  it('keeps synced GM values over local copies and migrates only once', () => {
+    const gm = gmStore({ MT_HideSensitiveInfo: '0' });
+    loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'blur' }, beforeLoad: gm.install });
+    expect(gm.values.get('MT_HideSensitiveInfo')).toBe('0');
+    // Legacy per-option keys still go through the settings-object migration.
+    expect(JSON.parse(gm.values.get('MTM_OBF_CONFIG')).maskStyle).toBe('blur');
+
+    const { window, api } = loadUserscript({ prefs: { MT_HideSensitiveInfo: '1' }, beforeLoad: gm.install });
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+    expect(api.isActive()).toBe(false);
+  });
+
+  it('patches fetch on the page window and mirrors devtools entry points there when sandboxed', async () => {
+    const body = JSON.stringify({ data: { account: { currentBalance: 100, __typename: 'Account' } } });
+    const page = {
+      Response,
+      Headers,
+      fetch: async () => new Response(body, { headers: { 'content-type': 'application/json' } }),
+      history: { pushState() {}, replaceState() {} },
+    };
+    const { window } = loadUserscript({
+      prefs: { MTM_OBF_ENGINE: 'both', MTM_OBF_MASK_STYLE: 'scale', MTM_OBF_SCALE_FACTOR: '2' },
+      beforeLoad(window) {
+        page.URL = window.URL;
+        page.Blob = window.Blob;
+        page.HTMLAnchorElement = window.HTMLAnchorElement;
+        page.XMLHttpRequest = window.XMLHttpRequest;
+        window.unsafeWindow = page;
+      },
+    });
+    const request = { method: 'POST', body: JSON.stringify({ operationName: 'Web_GetAccounts', query: 'query Web_GetAccounts { accounts { id } }' }) };
+    const json = await (await page.fetch('https://api.monarch.com/graphql', request)).json();
+    expect(json.data.account.currentBalance).toBe(200);
+    expect(page.MTM_OBF_SET_PREF).toBe(window.MTM_OBF_SET_PREF);
+    expect(page.MTM_OBF_STATS).toBe(window.MTM_OBF_STATS);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - cross-tab sync', () => {
+  it('applies settings changed in another tab and refreshes an open panel', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions', body: '<main><span id="v" class="fs-exclude">$12.00</span></main>' });
+    api.scanAndWrap();
+    await flushFrames(window);
+    const panel = api.openSettings();
+
+    const config = JSON.parse(window.localStorage.getItem('MTM_OBF_CONFIG'));
+    window.localStorage.setItem('MTM_OBF_CONFIG', JSON.stringify({ ...config, maskStyle: 'length' }));
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'MTM_OBF_CONFIG' }));
+    expect(api.getPref('maskStyle')).toBe('length');
+    expect(document.querySelector('#v .mtm-amount').textContent).toBe('$**.**');
+    expect(panel.querySelector('[data-mtm-pref="maskStyle"]').value).toBe('length');
+
+    // Unrelated keys are ignored.
+    window.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'somethingElse' }));
+    expect(document.querySelector('#v .mtm-amount')).not.toBeNull();
+    window.MTM_stopObserver();
+  });
+
+  it('listens for remote GM value changes only', async () => {
+    const values = new Map([['MTM_OBF_STORAGE', 'gm'], ['MT_HideSensitiveInfo', '1']]);
+    const listeners = new Map();
+    const { window, document, api } = loadUserscript({
+      routePath: '/transactions',
+      body: '<main><span id="v" class="fs-exclude">$12.00</span></main>',
+      beforeLoad(window) {
+        window.GM_getValue = (key, def) => (values.has(key) ? values.get(key) : def);
+        window.GM_setValue = (key, value) => { values.set(key, value); };
+        window.GM_addValueChangeListener = (key, fn) => { listeners.set(key, fn); };
+      },
+    });
+    expect([...listeners.keys()]).toEqual(['MT_HideSensitiveInfo', 'MTM_OBF_CONFIG']);
+    api.scanAndWrap();
+    await flushFrames(window);
+
+    values.set('MT_HideSensitiveInfo', '0');
+    listeners.get('MT_HideSensitiveInfo')('MT_HideSensitiveInfo', '1', '0', false);
+    expect(document.querySelector('#v .mtm-amount')).not.toBeNull();
+    listeners.get('MT_HideSensitiveInfo')('MT_HideSensitiveInfo', '1', '0', true);
+    expect(document.querySelector('#v .mtm-amount')).toBeNull();
+    expect(document.getElementById('v').textContent).toBe('$12.00');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - keyboard shortcuts', () => {
+  const BODY = '<main><span id="v" class="fs-exclude">$12.00</span><input id="text" type="text"><textarea id="area"></textarea>'
+    + '<div id="editor" contenteditable="true"><b id="bold">x</b></div><input id="check" type="checkbox"></main>';
+  const press = (window, target, init) => {
+    const e = new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    (target || window.document.body).dispatchEvent(e);
+    return e;
+  };
+  const TOGGLE = { key: 'Ó', code: 'KeyH', altKey: true, shiftKey: true };
+  const PANIC = { key: 'M', code: 'KeyM', altKey: true, shiftKey: true };
+  // Shortcuts are opt-in; each test binds them the way a user would in settings.
+  const loadWithHotkeys = () => {
+    const loaded = loadUserscript({ routePath: '/transactions', body: BODY });
+    loaded.api.setPref('hotkeyToggle', 'Alt+Shift+H');
+    loaded.api.setPref('hotkeyPanic', 'Alt+Shift+M');
+    return loaded;
+  };
+
+  it('binds no keys until a shortcut is set', () => {
+    const { window, api } = loadUserscript({ routePath: '/transactions', body: BODY });
+    expect(api.getPref('hotkeyToggle')).toBe('');
+    expect(api.getPref('hotkeyPanic')).toBe('');
+    expect(press(window, null, TOGGLE).defaultPrevented).toBe(false);
+    expect(press(window, null, PANIC).defaultPrevented).toBe(false);
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+  });
+
+  it('flips masking with the toggle hotkey, and the hotkey is configurable', async () => {
+    const { window, document, api } = loadWithHotkeys();
+    api.scanAndWrap();
+    await flushFrames(window);
+
+    expect(press(window, null, TOGGLE).defaultPrevented).toBe(true);
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('0');
+    expect(document.getElementById('v').innerHTML).toBe('$12.00');
+    press(window, null, TOGGLE);
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+    await flushFrames(window);
+    expect(document.querySelector('#v .mtm-amount').textContent).toBe('$*,***.**');
+
+    expect(api.setPref('hotkeyToggle', 'Hyper+H')).toBe(false);
+    expect(api.setPref('hotkeyToggle', 'Alt+Shift+Hh')).toBe(false);
+    expect(api.setPref('hotkeyToggle', 'ctrl+f9')).toBe(true);
+    expect(press(window, null, TOGGLE).defaultPrevented).toBe(false);
+    press(window, null, { key: 'F9', code: 'F9', ctrlKey: true });
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('0');
+    api.setPref('hotkeyToggle', '');
+    press(window, null, { key: 'F9', code: 'F9', ctrlKey: true });
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('0');
+    window.MTM_stopObserver();
+  });
+
+  it('panic forces masking on and cancels a hover reveal until the pointer moves off', async () => {
+    const { window, document, api } = loadWithHotkeys();
+    api.scanAndWrap();
+    await flushFrames(window);
+    const amount = document.querySelector('#v .mtm-amount');
+    const hover = (type, target = amount) => api.revealEvent({ type, target });
+
+    hover('mouseenter');
+    expect(amount.textContent).toBe('$12.00');
+    press(window, null, PANIC);
+    expect(amount.textContent).toBe('$*,***.**');
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+    // Still over the amount: no reveal until the pointer has left the masked values.
+    hover('mouseover');
+    hover('mouseenter');
+    expect(amount.textContent).toBe('$*,***.**');
+    hover('mouseover', document.querySelector('main'));
+    hover('mouseenter');
+    expect(amount.textContent).toBe('$12.00');
+
+    // From OFF it turns masking on (it never flips it off).
+    press(window, null, TOGGLE);
+    expect(document.getElementById('v').innerHTML).toBe('$12.00');
+    press(window, null, PANIC);
+    press(window, null, PANIC);
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+    await flushFrames(window);
+    expect(document.querySelector('#v .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+
+  it('ignores keystrokes typed into fields and held-down repeats', () => {
+    const { window, document } = loadWithHotkeys();
+    for (const id of ['text', 'area', 'bold']) {
+      expect(press(window, document.getElementById(id), PANIC).defaultPrevented, id).toBe(false);
+      press(window, document.getElementById(id), TOGGLE);
+    }
+    press(window, null, { ...TOGGLE, repeat: true });
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('1');
+    press(window, document.getElementById('check'), TOGGLE);
+    expect(window.localStorage.getItem('MT_HideSensitiveInfo')).toBe('0');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - currency inputs', () => {
+  const body = '<main><form id="f"><div class="BudgetRow__Root-sc-1">'
+    + '<input id="amt" name="amount" class="CurrencyInput__Input-sc-9" value="$250.00">'
+    + '</div></form></main>';
+
+  it('masks visually without writing the controlled value', () => {
+    const { document, api } = loadUserscript({ routePath: '/plan', body });
+    api.applyState();
+    const input = document.getElementById('amt');
+    expect(input.value).toBe('$250.00');
+    expect(input.getAttribute('value')).toBe('$250.00');
+    expect(input.classList.contains('mtm-input-masked')).toBe(true);
+  });
+
+  it('keeps edits to a budget amount made while masked, including on submit', () => {
+    const { window, document, api } = loadUserscript({ routePath: '/plan', body });
+    api.applyState();
+    const input = document.getElementById('amt');
+    input.focus();
+    input.value = '$300.00';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    // Re-renders triggered by the app (observer scans, pref changes) must not clobber the edit.
+    api.scanAndWrap();
+    api.setPref('maskStyle', 'length');
+    expect(input.value).toBe('$300.00');
+    expect(new window.FormData(document.getElementById('f')).get('amount')).toBe('$300.00');
+    expect(input.classList.contains('mtm-input-masked')).toBe(true);
+
+    // Clearing the field mid-edit keeps it masked rather than dropping the class.
+    input.value = '';
+    api.applyState();
+    expect(input.classList.contains('mtm-input-masked')).toBe(true);
+  });
+
+  it('restores cleanly when masking is turned off', () => {
+    const { window, document, api } = loadUserscript({ routePath: '/plan', body, prefs: { MTM_OBF_MASK_STYLE: 'blur' } });
+    api.applyState();
+    const input = document.getElementById('amt');
+    expect(input.classList.contains('mtm-amount-blur')).toBe(true);
+    expect(input.classList.contains('mtm-input-masked')).toBe(false);
+
+    window.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.applyState();
+    expect(input.value).toBe('$250.00');
+    expect(input.className).toBe('CurrencyInput__Input-sc-9');
+  });
+
+  it('leaves inputs on clear surfaces alone', () => {
+    const { document, api } = loadUserscript({ routePath: '/plan', body, prefs: { MTM_OBF_SURFACE_BUDGETS: 'clear' } });
+    api.applyState();
+    expect(document.getElementById('amt').classList.contains('mtm-input-masked')).toBe(false);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - CSV downloads', () => {
+  const csv = 'Date,Merchant,Category,Account,Original Statement,Notes,Amount,Tags\n'
+    + '2024-03-01,"Coffee, Inc.",Restaurants,Checking,"COFFEE ""INC""",,-12.34,\n'
+    + '2024-03-02,Employer,Paycheck,Checking,PAYROLL,,1500.00,work\n';
+
+  it('rewrites only the amount column and keeps quoting of the other cells', () => {
+    const { api } = loadUserscript({ routePath: '/transactions' });
+    const res = api.maskCsvText(csv);
+    expect(res.count).toBe(2);
+    expect(res.columns).toEqual(['Amount']);
+    expect(res.text).toBe('Date,Merchant,Category,Account,Original Statement,Notes,Amount,Tags\n'
+      + '2024-03-01,"Coffee, Inc.",Restaurants,Checking,"COFFEE ""INC""",,"-*,***.**",\n'
+      + '2024-03-02,Employer,Paycheck,Checking,PAYROLL,,"*,***.**",work\n');
+  });
+
+  it('uses the active strategy and thresholds; blur falls back to the fixed shape', () => {
+    const length = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'length', MTM_OBF_THRESHOLD: '100' } }).api.maskCsvText(csv);
+    expect(length.count).toBe(1);
+    expect(length.text).toContain(',,-12.34,');
+    expect(length.text).toContain(',,****.**,work');
+    const blur = loadUserscript({ prefs: { MTM_OBF_MASK_STYLE: 'blur' } }).api.maskCsvText(csv);
+    expect(blur.text).toContain(',,"-*,***.**",');
+  });
+
+  // Stubs the object URL API and the anchor click the script wraps, recording what actually gets saved.
+  function loadWithDownloads(prefs, confirmResult = true) {
+    const saved = [];
+    const prompts = [];
+    const urls = new Map();
+    const loaded = loadUserscript({
+      routePath: '/transactions',
+      prefs,
+      beforeLoad(window) {
+        let n = 0;
+        window.URL.createObjectURL = (blob) => { const url = `blob:https://app.monarch.com/${++n}`; urls.set(url, blob); return url; };
+        window.URL.revokeObjectURL = (url) => { urls.delete(url); };
+        window.HTMLAnchorElement.prototype.click = function () { saved.push({ name: this.download, blob: urls.get(this.href) }); };
+        window.confirm = (msg) => { prompts.push(msg); return confirmResult; };
+      },
+    });
+    const download = () => {
+      const { window, document } = loaded;
+      const a = document.createElement('a');
+      a.href = window.URL.createObjectURL(new window.Blob([csv], { type: 'text/csv' }));
+      a.download = 'transactions.csv';
+      a.click();
+      window.URL.revokeObjectURL(a.href);
+    };
+    const readBlob = (blob) => new Promise((resolve) => {
+      const reader = new loaded.window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    const waitForSave = async () => {
+      for (let i = 0; i < 50 && !saved.length; i++) await new Promise((r) => setTimeout(r, 10));
+    };
+    return { ...loaded, saved, prompts, download, readBlob, waitForSave };
+  }
+
+  it('saves a masked copy after confirming what changed', async () => {
+    const t = loadWithDownloads({ MTM_OBF_CSV: '1' });
+    t.download();
+    expect(t.saved).toHaveLength(0);
+    await t.waitForSave();
+    expect(t.prompts).toHaveLength(1);
+    expect(t.prompts[0]).toContain('2 values in the Amount column of transactions.csv');
+    expect(t.saved).toHaveLength(1);
+    expect(t.saved[0].name).toBe('transactions.csv');
+    const text = await t.readBlob(t.saved[0].blob);
+    expect(text).toContain('"-*,***.**"');
+    expect(text).not.toContain('1500.00');
+  });
+
+  it('offers the original file instead of dropping the export when it cannot be read', async () => {
+    const t = loadWithDownloads({ MTM_OBF_CSV: '1' });
+    const { window, document } = t;
+    const blob = new window.Blob([csv], { type: 'text/csv' });
+    blob.text = () => Promise.reject(new Error('read failed'));
+    const a = document.createElement('a');
+    a.href = window.URL.createObjectURL(blob);
+    a.download = 'transactions.csv';
+    a.click();
+    await t.waitForSave();
+    expect(t.prompts).toHaveLength(1);
+    expect(t.prompts[0]).toContain('transactions.csv could not be masked');
+    expect(t.saved).toHaveLength(1);
+    expect(t.saved[0].name).toBe('transactions.csv');
+    expect(await t.readBlob(t.saved[0].blob)).toBe(csv);
+  });
+
+  it('skips the download entirely when the prompt is cancelled', async () => {
+    const t = loadWithDownloads({ MTM_OBF_CSV: '1' }, false);
+    t.download();
+    await new Promise((r) => setTimeout(r, 100));
+    expect(t.prompts).toHaveLength(1);
+    expect(t.saved).toHaveLength(0);
+  });
+
+  it('passes downloads through untouched when the pref or masking is off', async () => {
+    const off = loadWithDownloads({});
+    off.download();
+    expect(off.saved).toHaveLength(1);
+    expect(await off.readBlob(off.saved[0].blob)).toBe(csv);
+
+    const unmasked = loadWithDownloads({ MTM_OBF_CSV: '1', MT_HideSensitiveInfo: '0' });
+    unmasked.download();
+    expect(unmasked.saved).toHaveLength(1);
+    expect(unmasked.prompts).toHaveLength(0);
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - highlight renderer', () => {
+  const body = '<main>'
+    + '<span id="a" class="fs-exclude">Balance $1,234.56 of 7,622.26</span>'
+    + '<div id="b" class="fs-exclude"><span>$</span><span>98.10</span></div>'
+    + '</main>';
+
+  // Minimal CSS Custom Highlight API: a registry map and a Set-like Highlight.
+  function stubHighlights(window) {
+    window.CSS = { highlights: new Map() };
+    window.Highlight = class extends Set {};
+  }
+  const highlighted = (window) => Array.from(window.CSS.highlights.get('mtm-obf') || []).map((r) => r.toString()).sort();
+
+  it('paints amounts with ranges and leaves the DOM byte-for-byte untouched', async () => {
+    const { window, document, api } = loadUserscript({ body, prefs: { MTM_OBF_RENDERER: 'highlight' }, beforeLoad: stubHighlights });
+    const before = document.body.innerHTML;
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.body.innerHTML).toBe(before);
+    expect(highlighted(window)).toEqual(['$1,234.56', '$98.10', '7,622.26']);
+  });
+
+  it('does not re-queue or re-hide hosts whose ranges are current on a rescan', async () => {
+    const { window, document, api } = loadUserscript({ body, prefs: { MTM_OBF_RENDERER: 'highlight' }, beforeLoad: stubHighlights });
+    api.scanAndWrap();
+    await flushFrames(window);
+    api.scanAndWrap();
+    expect(window.MTM_OBF_PENDING.size).toBe(0);
+    expect(document.querySelector('[data-mtm-pending]')).toBeNull();
+    expect(highlighted(window)).toEqual(['$1,234.56', '$98.10', '7,622.26']);
+  });
+
+  it('recomputes ranges when React rewrites a text node and drops unmounted ones', async () => {
+    const { window, document, api } = loadUserscript({ body, prefs: { MTM_OBF_RENDERER: 'highlight' }, beforeLoad: stubHighlights });
+    api.scanAndWrap();
+    await flushFrames(window);
+    document.getElementById('a').firstChild.nodeValue = 'Balance $5.00';
+    document.getElementById('b').remove();
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(highlighted(window)).toEqual(['$5.00']);
+  });
+
+  it('follows thresholds and the on/off pref', async () => {
+    const { window, api } = loadUserscript({ body, prefs: { MTM_OBF_RENDERER: 'highlight' }, beforeLoad: stubHighlights });
+    api.scanAndWrap();
+    await flushFrames(window);
+    api.setPref('threshold', '1000');
+    await flushFrames(window);
+    expect(highlighted(window)).toEqual(['$1,234.56', '7,622.26']);
+
+    window.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.applyState();
+    expect(window.CSS.highlights.has('mtm-obf')).toBe(false);
+  });
+
+  it('falls back to wrapper spans when the Highlight API is unavailable', async () => {
+    const { window, document, api } = loadUserscript({ body, prefs: { MTM_OBF_RENDERER: 'highlight' } });
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('#a .mtm-amount').textContent).toBe('$*,***.**');
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - full teardown', () => {
+  const body = '<main>'
+    + '<span id="a" class="fs-exclude">Balance $1,234.56 of 7,622.26</span>'
+    + '<div id="b" class="fs-exclude"><span>$</span><span>98.10</span></div>'
+    + '<p id="c" class="fs-exclude"><span>$5.00</span>left</p>'
+    + '<svg><text id="t">$500</text></svg>'
+    + '<input id="i" class="CurrencyInput__Input-sc-9" value="$12.50">'
+    + '</main>';
+
+  it('toggling OFF leaves the page byte-for-byte as rendered and disconnects observers', async () => {
+    const { window, document, api } = loadUserscript({ body, prefs: { MTM_OBF_MASK_STYLE: 'blur', MTM_OBF_MASK_PERCENT: '1' } });
+    const before = document.body.outerHTML;
+    const head = document.getElementById('a').firstChild;
+    api.syncToggle();
+    // Each call drains one frame-budgeted slice; drain them all so a slow frame can't leave hosts unwrapped.
+    while (window.MTM_OBF_PENDING.size) api.processQueue();
+    expect(document.querySelectorAll('.mtm-amount').length).toBeGreaterThan(3);
+    expect(window.MTM_OBF_OBSERVERS.length).toBeGreaterThan(0);
+
+    window.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.syncToggle();
+    expect(document.body.outerHTML).toBe(before);
+    expect(window.MTM_OBF_OBSERVERS).toHaveLength(0);
+    // Split text nodes are joined back into the node React rendered.
+    expect(document.getElementById('a').firstChild).toBe(head);
+    expect(document.getElementById('a').childNodes).toHaveLength(1);
+  });
+
+  it('masks again after turning back ON', async () => {
+    const { window, document, api } = loadUserscript({ body });
+    api.syncToggle();
+    await flushFrames(window);
+    window.localStorage.setItem('MT_HideSensitiveInfo', '0');
+    api.syncToggle();
+    window.localStorage.setItem('MT_HideSensitiveInfo', '1');
+    api.syncToggle();
+    await flushFrames(window);
+    expect(document.querySelector('#a .mtm-amount').textContent).toBe('$*,***.**');
+    window.MTM_stopObserver();
+  });
+
+  it('MTM_OBF_DISABLE restores the page and removes the script UI', async () => {
+    const { window, document, api } = loadUserscript({ body });
+    const before = document.body.outerHTML;
+    api.syncToggle();
+    await flushFrames(window);
+    window.MTM_OBF_DISABLE();
+    expect(document.body.outerHTML).toBe(before);
+    expect(document.getElementById('mtm-obf-css')).toBeNull();
+    api.scanAndWrap();
+    await flushFrames(window);
+    expect(document.querySelector('.mtm-amount')).toBeNull();
+  });
+});
+
+describe('MonarchMoneyObfuscate userscript - early-hide layer', () => {
+  it('hides money hosts added during the window until the queue has masked them', async () => {
+    const { window, document, api } = loadUserscript({ routePath: '/transactions' });
+    api.armPrehide();
+    const row = document.createElement('div');
+    row.innerHTML = '<span id="v" class="fs-exclude">$42.00</span><span id="n" class="fs-exclude">Coffee</span>';
+    document.querySelector('main').appendChild(row);
+    await Promise.resolve();
+    const v = document.getElementById('v');
+    expect(v.hasAttribute('data-mtm-pending')).toBe(true);
+    expect(document.getElementById('n').hasAttribute('data-mtm-pending')).toBe(false);
+    expect(document.getElementById('mtm-obf-css').textContent).toContain('[data-mtm-pending]{visibility:hidden!important}');
+
+    await flushFrames(window);
+    expect(v.hasAttribute('data-mtm-pending')).toBe(false);
+    expect(v.querySelector('.mtm-amount').textContent).toBe('$*,***.**');
+    api.disarmPrehide();
+  });
+
+  it('never keeps a host hidden past the timeout', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    try {
+      const { document, api } = loadUserscript({
+        routePath: '/transactions',
+        beforeLoad(win) {
+          // Route the page's timers and clock through vitest's fake ones.
+          Object.assign(win, { setTimeout, clearTimeout, Date });
+          // Stall the queue: frames never run, so only the timeout can reveal the host.
+          win.requestAnimationFrame = () => 0;
+        },
+      });
+      api.armPrehide();
+      document.querySelector('main').innerHTML = '<span id="v" class="fs-exclude">$42.00</span>';
+      await Promise.resolve();
+      const v = document.getElementById('v');
+      expect(v.hasAttribute('data-mtm-pending')).toBe(true);
+      vi.advanceTimersByTime(1600);
+      expect(v.hasAttribute('data-mtm-pending')).toBe(false);
+      api.disarmPrehide();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('stays armed while masking is ON and re-hides hosts whose text changes in place', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    try {
+      const { document, api } = loadUserscript({
+        routePath: '/transactions',
+        body: '<main><span id="v" class="fs-exclude">Coffee</span></main>',
+        beforeLoad(win) {
+          Object.assign(win, { setTimeout, clearTimeout, Date });
+          win.requestAnimationFrame = () => 0;
+        },
+      });
+      api.armPrehide();
+      vi.advanceTimersByTime(10000);
+      const v = document.getElementById('v');
+      v.firstChild.nodeValue = '$42.00';
+      await Promise.resolve();
+      expect(v.hasAttribute('data-mtm-pending')).toBe(true);
+      api.disarmPrehide();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('hides hosts waiting on the IntersectionObserver too', () => {
+    const { document, api } = loadUserscript({
+      routePath: '/transactions',
+      body: '<main><span id="v" class="fs-exclude">$42.00</span></main>',
+      beforeLoad(win) {
+        win.IntersectionObserver = class {
+          observe() {}
+          unobserve() {}
+          disconnect() {}
+        };
+      },
+    });
+    api.scanAndWrap();
+    expect(document.getElementById('v').hasAttribute('data-mtm-pending')).toBe(true);
+  });
+
+  it('stays off when masking is OFF and guards a missing <body>', () => {
+    const { document, api } = loadUserscript({ prefs: { MT_HideSensitiveInfo: '0' } });
+    api.armPrehide();
+    document.querySelector('main').innerHTML = '<span class="fs-exclude">$42.00</span>';
+    expect(document.querySelector('[data-mtm-pending]')).toBeNull();
+    document.body.remove();
+    expect(() => api.applyState()).not.toThrow();
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import { loadUserscript } from './helpers/userscript.js';
+
+// Synthetic large-DOM benchmarks for the scan, queue and observer hot paths. Sizes default to 1k money nodes;
+// set MTM_PERF_SIZES=1000,5000,20000 for the full run. Budgets are multiples of a reference pass measured on the
+// same document (one text read, regex test and computed-style read per row, see referenceMsPerNode), so machine
+// speed cancels out. Each sits about 1.4x above the worst ratio measured for the current code; set
+// MTM_PERF_BUDGET_SCALE to loosen them all on a noisy host.
+const SIZES = String(process.env.MTM_PERF_SIZES || '1000').split(',').map(Number).filter(Boolean);
+const SCALE = Number(process.env.MTM_PERF_BUDGET_SCALE || 1);
+const BUDGET = {
+  // Whole-document scan, per money node (measured 27-35 reference rows).
+  scanPerNode: 50,
+  // Leaf fallback scan, per node up to 1k (it is capped per scan; measured 17-21).
+  leafPerNode: 30,
+  // One queued host wrapped; JSDOM's Range bookkeeping grows faster than linearly with document size
+  // (measured 44-65 at 1k nodes).
+  queuePerItem: (n) => 90 * (n / 1000) ** 1.5,
+  // Scoped mutation callback handling a batch of injected rows, per row (measured 16-37).
+  observerPerRow: 50,
+  // Document-wide early-hide observer handling the same batch, per row (measured 6-10).
+  prehidePerRow: 15,
+};
+const QUEUE_SAMPLE = 100;
+const INJECTED_ROWS = 200;
+
+function rows(start, count, { fsExclude = true } = {}) {
+  let html = '';
+  for (let i = start; i < start + count; i++) {
+    html += `<div class="Row"><div class="Cell"><span>Merchant ${i}</span>`
+      + `<span${fsExclude ? ' class="fs-exclude"' : ''} data-row="${i}">-$${(i * 7.31).toFixed(2)}</span></div></div>`;
+  }
+  return html;
+}
+
+// Loads a route with `n` rows inside one overflowing scroll container and counts computed-style reads.
+function loadLarge(n, { routePath = '/transactions', fsExclude = true } = {}) {
+  const counters = { computedStyle: 0, ioObserved: 0 };
+  const loaded = loadUserscript({
+    routePath,
+    body: `<main><div id="list" style="overflow-y:auto">${rows(0, n, { fsExclude })}</div></main>`,
+    beforeLoad(window) {
+      window.IntersectionObserver = class {
+        observe() { counters.ioObserved += 1; }
+        unobserve() {}
+        disconnect() {}
+      };
+      const getComputedStyle = window.getComputedStyle.bind(window);
+      window.getComputedStyle = (el) => { counters.computedStyle += 1; return getComputedStyle(el); };
+    },
+  });
+  // JSDOM has no layout: give the list container (only) a scrolling box.
+  const list = loaded.document.getElementById('list');
+  Object.defineProperty(list, 'scrollHeight', { value: n * 40 });
+  Object.defineProperty(list, 'clientHeight', { value: 600 });
+  return { ...loaded, counters };
+}
+
+// Median per-row time of a reference pass over the rows of a loaded document, in ms, after one warm-up
+// pass. Leaves the computed-style counter as it found it.
+function referenceMsPerNode(window, document, counters) {
+  const els = Array.from(document.querySelectorAll('[data-row]'));
+  const before = counters.computedStyle;
+  const runs = [];
+  for (let r = 0; r < 6; r++) {
+    let hits = 0;
+    const ms = timed(() => {
+      for (const el of els) {
+        if (/\$/.test(el.textContent)) hits += 1;
+        if (window.getComputedStyle(el).overflowY === 'scroll') hits += 1;
+      }
+    });
+    if (r > 0) runs.push(ms / els.length);
+  }
+  counters.computedStyle = before;
+  return runs.sort((a, b) => a - b)[2];
+}
+
+function timed(fn) {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+describe('MonarchMoneyObfuscate userscript - large DOM performance', () => {
+  for (const n of SIZES) {
+    it(`scan: ${n} money nodes, one computed-style read per ancestor`, () => {
+      const { window, document, api, counters } = loadLarge(n);
+      const ref = referenceMsPerNode(window, document, counters);
+      const ms = timed(() => api.scanAndWrap());
+      expect(window.MTM_OBF_PENDING.size).toBe(n);
+      // Every row sits in the virtualized list, so none waits on IntersectionObserver.
+      expect(counters.ioObserved).toBe(0);
+      // Each row's Cell and Row once, and the shared scroll container once for all rows.
+      expect(counters.computedStyle).toBe(2 * n + 1);
+      expect(ms, `scan took ${ms.toFixed(0)}ms`).toBeLessThan(n * ref * BUDGET.scanPerNode * SCALE);
+    }, 120000);
+
+    it(`leaf scan: ${n} unmarked money nodes on a fallback route`, () => {
+      const { window, document, api, counters } = loadLarge(n, { routePath: '/goals', fsExclude: false });
+      const ref = referenceMsPerNode(window, document, counters);
+      const ms = timed(() => api.scanAndWrap());
+      // The leaf fallback is capped per scan; the rest arrive through later scans and mutations.
+      expect(window.MTM_OBF_PENDING.size).toBe(Math.min(n, 450));
+      expect(ms, `leaf scan took ${ms.toFixed(0)}ms`).toBeLessThan(Math.min(n, 1000) * ref * BUDGET.leafPerNode * SCALE);
+    }, 120000);
+
+    it(`queue: wraps queued hosts within the per-item budget (${n} nodes)`, () => {
+      const { window, document, api, counters } = loadLarge(n);
+      const ref = referenceMsPerNode(window, document, counters);
+      api.scanAndWrap();
+      let wrapped = 0;
+      const ms = timed(() => {
+        while (wrapped < QUEUE_SAMPLE) {
+          api.processQueue();
+          wrapped = n - window.MTM_OBF_PENDING.size;
+        }
+      });
+      expect(document.querySelectorAll('[data-row] .mtm-amount').length).toBe(wrapped);
+      const perItem = ms / wrapped;
+      expect(perItem, `${perItem.toFixed(1)}ms per host`).toBeLessThan(ref * BUDGET.queuePerItem(n) * SCALE);
+    }, 300000);
+
+    it(`observer: enqueues ${INJECTED_ROWS} injected rows into a ${n}-node document`, async () => {
+      const { window, document, api, counters } = loadLarge(n);
+      const ref = referenceMsPerNode(window, document, counters);
+      api.scanAndWrap();
+      window.MTM_OBF_PENDING.clear();
+      window.MTM_startObserver();
+      const list = document.getElementById('list');
+      // Time the insertion plus the mutation callback (a microtask), not the frame-batched wrapping after it.
+      const start = performance.now();
+      list.insertAdjacentHTML('beforeend', rows(n, INJECTED_ROWS));
+      await Promise.resolve();
+      const ms = performance.now() - start;
+      window.MTM_stopObserver();
+      expect(window.MTM_OBF_PENDING.size).toBe(INJECTED_ROWS);
+      expect(ms, `observer batch took ${ms.toFixed(0)}ms`).toBeLessThan(INJECTED_ROWS * ref * BUDGET.observerPerRow * SCALE);
+    }, 120000);
+
+    it(`prehide: the document-wide early-hide observer handles ${INJECTED_ROWS}-row batches in a ${n}-node document`, async () => {
+      const { window, document, api, counters } = loadLarge(n);
+      const ref = referenceMsPerNode(window, document, counters);
+      api.scanAndWrap();
+      window.MTM_OBF_PENDING.clear();
+      const hiddenBefore = document.querySelectorAll('[data-mtm-pending]').length;
+      api.armPrehide();
+      const list = document.getElementById('list');
+      // Median of three batches, so one GC pause inside a short batch does not decide the result.
+      const batches = [];
+      for (let b = 0; b < 3; b++) {
+        const start = performance.now();
+        list.insertAdjacentHTML('beforeend', rows(n + b * INJECTED_ROWS, INJECTED_ROWS));
+        await Promise.resolve();
+        batches.push(performance.now() - start);
+      }
+      api.disarmPrehide();
+      // Queued directly and hidden until masked.
+      expect(window.MTM_OBF_PENDING.size).toBe(3 * INJECTED_ROWS);
+      expect(document.querySelectorAll('[data-mtm-pending]').length - hiddenBefore).toBe(3 * INJECTED_ROWS);
+      const ms = batches.sort((a, b) => a - b)[1];
+      expect(ms, `prehide batch took ${ms.toFixed(0)}ms`).toBeLessThan(INJECTED_ROWS * ref * BUDGET.prehidePerRow * SCALE);
+    }, 120000);
+  }
+
+  it('leaf fallback still resolves split and nested amounts from text nodes', () => {
+    const { window, document, api } = loadUserscript({
+      routePath: '/goals',
+      body: '<main><div class="Goal"><span>Saved</span><div id="split"><span>$</span><span>1,250</span></div>'
+        + '<p id="nested">Target <span>$9,000.00</span></p><div id="text">No money here</div></div></main>',
+    });
+    api.scanAndWrap();
+    // Each call drains one frame-budgeted slice.
+    while (window.MTM_OBF_PENDING.size) api.processQueue();
+    expect(document.querySelector('#split .mtm-amount')).not.toBeNull();
+    expect(document.querySelector('#nested span .mtm-amount')).not.toBeNull();
+    expect(document.querySelector('#text .mtm-amount')).toBeNull();
+  });
+});